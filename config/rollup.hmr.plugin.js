@@ -0,0 +1,48 @@
+const EVENTS_PATH = "/__bulba_hmr"
+
+// Runs in the page before the bundle. The first copy flags hot replacement
+// for `register` and re-runs the bundle whenever it's rebuilt, so registered
+// classes replace the defined ones instead of reloading the page.
+const client = `(function () {
+  if (window.__BULBA_HMR__) return
+  window.__BULBA_HMR__ = true
+
+  var src = document.currentScript.src.split("?")[0]
+
+  new EventSource("${EVENTS_PATH}").onmessage = function () {
+    var script = document.createElement("script")
+    script.src = src + "?t=" + Date.now()
+    script.onload = function () {
+      script.parentNode.removeChild(script)
+    }
+    document.head.appendChild(script)
+  }
+})();`
+
+/**
+ * Hot replacement of element classes for the preview dev server. Pass
+ * `server` to rollup-plugin-dev's `extend` option to serve update events.
+ */
+export function hmr() {
+  const responses = new Set()
+
+  return {
+    name: "bulba-hmr",
+    banner: () => client,
+    writeBundle() {
+      responses.forEach((response) => response.write("data: update\n\n"))
+    },
+    async server(fastify) {
+      fastify.get(EVENTS_PATH, (request, reply) => {
+        reply.raw.writeHead(200, {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        })
+        reply.raw.flushHeaders()
+        responses.add(reply.raw)
+        request.raw.on("close", () => responses.delete(reply.raw))
+      })
+    },
+  }
+}
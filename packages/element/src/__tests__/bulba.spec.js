@@ -1,6 +1,16 @@
 import { jsx } from "@bulba/jsx"
 import { External } from "@bulba/utils"
+import { Renderer as TemplateRenderer } from "@bulba/template"
 import { mount } from "./helpers/mount"
+import {
+  BulbaElement,
+  css,
+  setErrorHandler,
+  getEventDeclarations,
+  Signal,
+} from "../"
+import { register } from "../register"
+import { toRaw } from "../properties/deep-proxy"
 import { jest } from "@jest/globals"
 
 describe("BulbaElement", () => {
@@ -28,6 +38,126 @@ describe("BulbaElement", () => {
     expect(fixture.shadowRoot).not.toBeNull()
   })
 
+  describe("render root", () => {
+    it("passes shadow root options to attachShadow", () => {
+      // Given
+      const attachShadow = jest.spyOn(HTMLElement.prototype, "attachShadow")
+      const [TestElement, render] = mount({ wait: true, view: "<div></div>" })
+      Object.defineProperty(TestElement, "shadowRootOptions", {
+        get: () => ({ delegatesFocus: true, slotAssignment: "manual" }),
+      })
+      // When
+      render()
+      // Then
+      expect(attachShadow).toHaveBeenCalledWith({
+        mode: "open",
+        delegatesFocus: true,
+        slotAssignment: "manual",
+      })
+    })
+
+    it("renders to a closed shadow root", () => {
+      // Given
+      const [TestElement, render] = mount({
+        wait: true,
+        view: "<div></div>",
+        styles: "p {}",
+      })
+      Object.defineProperty(TestElement, "shadowRootOptions", {
+        get: () => ({ mode: "closed" }),
+      })
+      // When
+      const fixture = render()
+      // Then
+      expect(fixture.shadowRoot).toBeNull()
+      expect(fixture.renderRoot.mode).toEqual("closed")
+      expect(fixture.renderRoot.querySelector("div")).not.toBeNull()
+      expect(fixture.renderRoot.querySelector("style")).not.toBeNull()
+    })
+
+    const lightDOMFixtures = [
+      ["<div></div>", "template"],
+      [<div />, "jsx"],
+    ]
+
+    lightDOMFixtures.forEach(([view, rendererType]) => {
+      it(`renders the ${rendererType} view to light DOM`, () => {
+        // Given
+        const [TestElement, render] = mount({
+          wait: true,
+          view,
+          styles: "p {}",
+        })
+        Object.defineProperty(TestElement, "lightDOM", { get: () => true })
+        // When
+        const fixture = render()
+        // Then
+        expect(fixture.shadowRoot).toBeNull()
+        expect(fixture.renderRoot).toBe(fixture)
+        expect(fixture.querySelector("style").textContent).toEqual("p {}")
+        expect(fixture.querySelector("div")).not.toBeNull()
+      })
+
+      it(`removes the ${rendererType} view from light DOM when disconnected`, () => {
+        // Given
+        const [TestElement, render] = mount({ wait: true, view })
+        Object.defineProperty(TestElement, "lightDOM", { get: () => true })
+        const fixture = render()
+        // When
+        document.body.removeChild(fixture)
+        // Then
+        expect(fixture.childNodes.length).toEqual(0)
+      })
+
+      it(`reuses pre-rendered light DOM with the ${rendererType} renderer`, () => {
+        // Given
+        const [TestElement, render] = mount({
+          wait: true,
+          view,
+          attributes: { "bulba-ssr": "" },
+          children: "<div></div>",
+        })
+        Object.defineProperty(TestElement, "lightDOM", { get: () => true })
+        let serverNode
+        TestElement.prototype[External.onConnect] = function () {
+          serverNode = this.firstChild
+        }
+        // When
+        const fixture = render()
+        // Then
+        expect(fixture.querySelectorAll("div").length).toEqual(1)
+        expect(fixture.firstChild).toBe(serverNode)
+        expect(fixture.hasAttribute("bulba-ssr")).toBe(false)
+      })
+
+      it(`keeps authored light DOM children with the ${rendererType} renderer`, () => {
+        // Given
+        const [TestElement, render] = mount({
+          wait: true,
+          view,
+          styles: "p {}",
+          children: "<span>user</span><b>more</b>",
+        })
+        Object.defineProperty(TestElement, "lightDOM", { get: () => true })
+        // When
+        const fixture = render()
+        // Then
+        expect(fixture.querySelector("span").textContent).toEqual("user")
+        expect(fixture.querySelector("b").textContent).toEqual("more")
+        expect(fixture.querySelector("div")).not.toBeNull()
+        // When
+        document.body.removeChild(fixture)
+        // Then
+        expect(fixture.innerHTML).toEqual("<span>user</span><b>more</b>")
+        // When
+        document.body.appendChild(fixture)
+        // Then
+        expect(fixture.querySelectorAll("div").length).toEqual(1)
+        expect(fixture.querySelector("span").textContent).toEqual("user")
+      })
+    })
+  })
+
   it("renders styles to shadow root", () => {
     // Given
     const styles = ""
@@ -38,6 +168,180 @@ describe("BulbaElement", () => {
     )
   })
 
+  it("updates the style tag when styles change", () => {
+    // Given
+    let styles = ":host { display: block; }"
+    const [TestElement, render] = mount({ wait: true, view: "<div></div>" })
+    Object.defineProperty(TestElement, "styles", { get: () => styles })
+    const fixture = render()
+    // When
+    styles = ":host { display: none; }"
+    fixture.updateStyles()
+    // Then
+    const styleTags = fixture.shadowRoot.querySelectorAll("style")
+    expect(styleTags.length).toEqual(1)
+    expect(styleTags[0].textContent).toEqual(styles)
+  })
+
+  describe("composed styles", () => {
+    it("renders arrays of styles in order", () => {
+      // Given
+      const tokens = css`
+        :host {
+          --color: ${"red"};
+        }
+      `
+      const styles = [tokens, ["p { color: var(--color); }"]]
+      // When
+      const fixture = mount({ view: "<div></div>", styles })
+      // Then
+      expect(fixture.shadowRoot.querySelector("style").textContent).toEqual(
+        `${tokens.cssText}\np { color: var(--color); }`
+      )
+    })
+
+    it("removes duplicate styles, keeping the last", () => {
+      // Given
+      const base = css`
+        p {
+          margin: 0;
+        }
+      `
+      const styles = [base, "p { color: red; }", [base]]
+      // When
+      const fixture = mount({ view: "<div></div>", styles })
+      // Then
+      expect(fixture.shadowRoot.querySelector("style").textContent).toEqual(
+        `p { color: red; }\n${base.cssText}`
+      )
+    })
+
+    it("extends parent styles with super.styles", () => {
+      // Given
+      const parentStyles = css`
+        p {
+          color: red;
+        }
+      `
+      const childStyles = css`
+        p {
+          font-weight: bold;
+        }
+      `
+      const [TestElement] = mount({
+        wait: true,
+        view: "<div></div>",
+        styles: parentStyles,
+      })
+      class ChildElement extends TestElement {
+        static get styles() {
+          return [super.styles, childStyles]
+        }
+      }
+      register("composed-styles-child", ChildElement)
+      // When
+      const fixture = document.createElement("composed-styles-child")
+      document.body.appendChild(fixture)
+      // Then
+      expect(fixture.shadowRoot.querySelector("style").textContent).toEqual(
+        `${parentStyles.cssText}\n${childStyles.cssText}`
+      )
+    })
+  })
+
+  describe("adopted stylesheets", () => {
+    beforeAll(() => {
+      CSSStyleSheet.prototype.replaceSync = function (cssText) {
+        this.cssText = cssText
+      }
+      Object.defineProperty(Document.prototype, "adoptedStyleSheets", {
+        configurable: true,
+        value: [],
+      })
+      Object.defineProperty(ShadowRoot.prototype, "adoptedStyleSheets", {
+        configurable: true,
+        get() {
+          return this.sheets || []
+        },
+        set(sheets) {
+          this.sheets = sheets
+        },
+      })
+    })
+
+    afterAll(() => {
+      delete CSSStyleSheet.prototype.replaceSync
+      delete Document.prototype.adoptedStyleSheets
+      delete ShadowRoot.prototype.adoptedStyleSheets
+    })
+
+    it("shares one stylesheet between instances", () => {
+      // Given
+      const styles = ":host { display: block; }"
+      const [, render] = mount({ wait: true, view: "<div></div>", styles })
+      // When
+      const first = render()
+      const second = render()
+      // Then
+      expect(first.shadowRoot.querySelector("style")).toBeNull()
+      expect(first.shadowRoot.adoptedStyleSheets.length).toEqual(1)
+      expect(first.shadowRoot.adoptedStyleSheets[0].cssText).toEqual(styles)
+      expect(second.shadowRoot.adoptedStyleSheets[0]).toBe(
+        first.shadowRoot.adoptedStyleSheets[0]
+      )
+    })
+
+    it("doesn't adopt the stylesheet twice if reconnected", () => {
+      // Given
+      const fixture = mount({ view: "<div></div>", styles: "p {}" })
+      // When
+      document.body.removeChild(fixture)
+      document.body.appendChild(fixture)
+      // Then
+      expect(fixture.shadowRoot.adoptedStyleSheets.length).toEqual(1)
+    })
+
+    it("updates the shared stylesheet when styles change", () => {
+      // Given
+      let styles = ":host { display: block; }"
+      const [TestElement, render] = mount({ wait: true, view: "<div></div>" })
+      Object.defineProperty(TestElement, "styles", { get: () => styles })
+      const first = render()
+      const second = render()
+      // When
+      styles = ":host { display: none; }"
+      first.updateStyles()
+      // Then
+      expect(second.shadowRoot.adoptedStyleSheets[0].cssText).toEqual(styles)
+    })
+
+    it("shares css results between classes", () => {
+      // Given
+      const tokens = css`
+        :host {
+          --color: red;
+        }
+      `
+      // When
+      const first = mount({ view: "<div></div>", styles: [tokens, "p {}"] })
+      const second = mount({ view: "<div></div>", styles: tokens })
+      // Then
+      expect(first.shadowRoot.adoptedStyleSheets.length).toEqual(2)
+      expect(first.shadowRoot.adoptedStyleSheets[0]).toBe(
+        second.shadowRoot.adoptedStyleSheets[0]
+      )
+    })
+
+    it("adopts given stylesheets as-is", () => {
+      // Given
+      const sheet = new CSSStyleSheet()
+      // When
+      const fixture = mount({ view: "<div></div>", styles: [sheet] })
+      // Then
+      expect(fixture.shadowRoot.adoptedStyleSheets).toEqual([sheet])
+    })
+  })
+
   it("applies default document direction via dir attribute", () => {
     // Given
     const fixture = mount({ view: "<div></div>" })
@@ -45,6 +349,110 @@ describe("BulbaElement", () => {
     expect(fixture.getAttribute("dir")).toEqual("ltr")
   })
 
+  describe("hydration", () => {
+    const hydrationFixtures = [
+      ["<div><p>hello</p></div>", "template"],
+      [
+        <div>
+          <p>hello</p>
+        </div>,
+        "jsx",
+      ],
+    ]
+
+    hydrationFixtures.forEach(([view, rendererType]) => {
+      it(`reuses a declarative shadow root with the ${rendererType} renderer`, () => {
+        // Given
+        const shadowRoot = "<style></style><div><p>hello</p></div>"
+        const [, render] = mount({ wait: true, view, shadowRoot })
+        // When
+        const fixture = render()
+        // Then
+        expect(fixture.shadowRoot.innerHTML).toEqual(shadowRoot)
+      })
+
+      it(`keeps server-rendered nodes with the ${rendererType} renderer`, () => {
+        // Given
+        const shadowRoot = "<div><p>hello</p></div>"
+        const [TestElement, render] = mount({ wait: true, view, shadowRoot })
+        let serverNode
+        TestElement.prototype[External.onConnect] = function () {
+          serverNode = this.shadowRoot.querySelector("p")
+        }
+        // When
+        const fixture = render()
+        // Then
+        expect(serverNode).toBeTruthy()
+        expect(fixture.shadowRoot.querySelector("p")).toBe(serverNode)
+        expect(fixture.shadowRoot.querySelectorAll("div").length).toEqual(1)
+      })
+
+      it(`patches mismatched server markup with the ${rendererType} renderer`, () => {
+        // Given
+        const shadowRoot = "<div><p>goodbye</p></div>"
+        const [, render] = mount({ wait: true, view, shadowRoot })
+        // When
+        const fixture = render()
+        // Then
+        expect(fixture.shadowRoot.querySelector("p").textContent).toEqual(
+          "hello"
+        )
+        expect(fixture.shadowRoot.querySelectorAll("div").length).toEqual(1)
+      })
+    })
+
+    it("keeps server-rendered styles and classes with the jsx renderer", () => {
+      // Given
+      const shadowRoot =
+        '<div class="box" style="font-weight: bold;" tabindex="0"><p>hello</p></div>'
+      const view = (
+        <div className="box" style={{ fontWeight: "bold" }} tabIndex={0}>
+          <p>hello</p>
+        </div>
+      )
+      const [TestElement, render] = mount({ wait: true, view, shadowRoot })
+      let serverNode
+      TestElement.prototype[External.onConnect] = function () {
+        serverNode = this.shadowRoot.querySelector("div")
+      }
+      // When
+      const fixture = render()
+      fixture.requestRender()
+      // Then
+      expect(fixture.shadowRoot.querySelector("div")).toBe(serverNode)
+      expect(serverNode.outerHTML).toEqual(shadowRoot)
+    })
+
+    it("reuses a closed declarative shadow root found via internals", () => {
+      // Given
+      class ClosedHydrationTest extends BulbaElement(TemplateRenderer) {
+        static get shadowRootOptions() {
+          return { mode: "closed" }
+        }
+
+        render() {
+          return "<div><p>hello</p></div>"
+        }
+      }
+      const fixture = document.createElement("closed-hydration-test")
+      const root = fixture.attachShadow({ mode: "closed" })
+      root.innerHTML = "<div><p>hello</p></div>"
+      const serverNode = root.querySelector("p")
+      HTMLElement.prototype.attachInternals = jest.fn(() => ({
+        shadowRoot: root,
+      }))
+      document.body.appendChild(fixture)
+      // When
+      register("closed-hydration-test", ClosedHydrationTest)
+      delete HTMLElement.prototype.attachInternals
+      // Then
+      expect(fixture.renderRoot).toBe(root)
+      expect(root.querySelector("p")).toBe(serverNode)
+      expect(root.querySelectorAll("div").length).toEqual(1)
+      expect(fixture.checkValidity()).toBe(true)
+    })
+  })
+
   describe("renderers", () => {
     it("renders a template view", () => {
       // Given
@@ -307,146 +715,1829 @@ describe("BulbaElement", () => {
       })
     })
 
-    describe("property warnings", () => {
-      /* eslint-disable no-console */
-      beforeAll(() => {
-        console.warn = jest.fn()
-        console.error = jest.fn()
-      })
-
-      afterAll(() => {
-        console.warn.mockClear()
-        console.error.mockClear()
-      })
-
-      const typeWarning =
-        "[BulbaElement]: Property 'testProp' is type 'string', expected 'boolean'."
-      const requiredWithTypeWarning =
-        "[BulbaElement]: Property 'testProp' of type 'string' is required."
-      const requiredWarning = "[BulbaElement]: Property 'testProp' is required."
-
-      it("will print warning on upgrade if assigned type doesn't match", () => {
+    describe("option.attribute", () => {
+      it("syncs with a custom attribute name", () => {
         // Given
         const properties = {
-          testProp: {
-            type: "boolean",
-            default: "foo",
-          },
+          label: { default: "foo", reflected: true, attribute: "aria-label" },
         }
-        mount({
-          view: "<div></div>",
-          properties,
-        })
+        const fixture = mount({ view: "<div></div>", properties })
         // Then
-        expect(console.warn).toHaveBeenCalledWith(typeWarning)
+        expect(fixture.getAttribute("aria-label")).toEqual("foo")
+        expect(fixture.hasAttribute("label")).toBe(false)
+        // When
+        fixture.setAttribute("aria-label", "bar")
+        // Then
+        expect(fixture.label).toEqual("bar")
       })
 
-      it("will print warning on value change if assigned type doesn't match", () => {
+      it("doesn't sync with an attribute if false", () => {
         // Given
         const properties = {
-          testProp: {
-            type: "boolean",
-            default: true,
-          },
+          testProp: { default: "foo", reflected: true, attribute: false },
         }
-        const fixture = mount({
-          view: "<div></div>",
-          properties,
-        })
+        const attributes = { "test-prop": "bar" }
+        const fixture = mount({ view: "<div></div>", properties, attributes })
         // When
-        fixture.testProp = "foo"
+        fixture.testProp = "baz"
         // Then
-        expect(console.warn).toHaveBeenCalledWith(typeWarning)
+        expect(fixture.getAttribute("test-prop")).toEqual("bar")
+        expect(fixture.constructor.observedAttributes).toEqual([])
       })
+    })
 
-      it("will print error on upgrade if required prop has no default", () => {
+    describe("option.computed", () => {
+      const properties = {
+        firstName: { default: "Ada" },
+        lastName: { default: "Lovelace" },
+        title: { default: "Countess" },
+        fullName: {
+          computed: (element) => `${element.firstName} ${element.lastName}`,
+          reflected: true,
+        },
+        greeting: {
+          computed: (element) => `Hello, ${element.fullName}`,
+        },
+      }
+
+      it("computes the value from other properties", () => {
         // Given
-        const properties = {
-          testProp: {
-            required: true,
-          },
-        }
-        mount({
-          view: "<div></div>",
-          properties,
-        })
+        const fixture = mount({ view: "<div></div>", properties })
         // Then
-        expect(console.error).toHaveBeenCalledWith(requiredWarning)
+        expect(fixture.fullName).toEqual("Ada Lovelace")
+        expect(fixture.greeting).toEqual("Hello, Ada Lovelace")
       })
 
-      it("will print error on upgrade if required, typed prop has no default", () => {
+      it("recomputes when a dependency changes", () => {
         // Given
-        const properties = {
-          testProp: {
-            type: "string",
-            required: true,
-          },
-        }
-        mount({
-          view: "<div></div>",
-          properties,
-        })
+        const fixture = mount({ view: "<div></div>", properties })
+        // When
+        fixture.firstName = "Grace"
         // Then
-        expect(console.error).toHaveBeenCalledWith(requiredWithTypeWarning)
+        expect(fixture.fullName).toEqual("Grace Lovelace")
+        expect(fixture.greeting).toEqual("Hello, Grace Lovelace")
       })
 
-      it("will print error on value change if required prop is undefined", () => {
+      it("memoizes the value until a dependency changes", () => {
         // Given
-        const properties = {
-          testProp: {
-            required: true,
-            default: "foo",
-          },
-        }
+        const computed = jest.fn((element) => element.firstName.toUpperCase())
         const fixture = mount({
           view: "<div></div>",
-          properties,
+          properties: { ...properties, upperName: { computed } },
         })
-        fixture.testProp = undefined
+        // When
+        fixture.upperName
+        fixture.title = "Dr."
+        fixture.upperName
         // Then
-        expect(console.error).toHaveBeenCalledWith(requiredWarning)
+        expect(computed).toHaveBeenCalledTimes(1)
+        // When
+        fixture.firstName = "Grace"
+        // Then
+        expect(fixture.upperName).toEqual("GRACE")
+        expect(computed).toHaveBeenCalledTimes(2)
       })
 
-      it("will print error on value change if required, typed prop is undefined", () => {
+      it("reflects the computed value", () => {
         // Given
-        const properties = {
-          testProp: {
-            required: true,
-            type: "string",
-            default: "foo",
-          },
+        const fixture = mount({ view: "<div></div>", properties })
+        // Then
+        expect(fixture.getAttribute("full-name")).toEqual("Ada Lovelace")
+        // When
+        fixture.lastName = "Hopper"
+        // Then
+        expect(fixture.getAttribute("full-name")).toEqual("Ada Hopper")
+      })
+    })
+
+    describe("option.deep", () => {
+      const properties = {
+        items: { default: () => ["a"], deep: true },
+        config: {
+          default: () => ({ open: false, nested: { size: 1 } }),
+          deep: true,
+          reflected: true,
+          type: "object",
+        },
+      }
+
+      it("renders once for batched nested mutations", async () => {
+        // Given
+        const [TestElement, render] = mount({
+          wait: true,
+          view: "<div></div>",
+          properties,
+        })
+        TestElement.prototype[External.onUpdate] = jest.fn()
+        const fixture = render()
+        window.requestAnimationFrame.mockImplementation((cb) => setTimeout(cb))
+        // When
+        fixture.items.push("b")
+        fixture.config.nested.size = 2
+        await fixture.updateComplete
+        // Then
+        expect(fixture.count).toEqual(2)
+        expect(fixture.items).toEqual(["a", "b"])
+        expect(TestElement.prototype[External.onUpdate]).toHaveBeenCalledWith(
+          new Map([
+            ["items", fixture.items],
+            ["config", fixture.config],
+          ])
+        )
+      })
+
+      it("calls onPropertyChange with the changed path", () => {
+        // Given
+        const [TestElement, render] = mount({
+          wait: true,
+          view: "<div></div>",
+          properties,
+        })
+        TestElement.prototype[External.onPropertyChange] = jest.fn()
+        const fixture = render()
+        // When
+        fixture.config.nested.size = 2
+        delete fixture.config.open
+        // Then
+        expect(
+          TestElement.prototype[External.onPropertyChange]
+        ).toHaveBeenCalledWith("config", 1, 2, "config.nested.size")
+        expect(
+          TestElement.prototype[External.onPropertyChange]
+        ).toHaveBeenCalledWith("config", false, undefined, "config.open")
+      })
+
+      it("reflects nested mutations", () => {
+        // Given
+        const fixture = mount({ view: "<div></div>", properties })
+        // When
+        fixture.config.open = true
+        // Then
+        expect(JSON.parse(fixture.getAttribute("config")).open).toBe(true)
+      })
+
+      it("observes nested values reused by a new value", () => {
+        // Given
+        const [TestElement, render] = mount({
+          wait: true,
+          view: "<div></div>",
+          properties,
+        })
+        TestElement.prototype[External.onPropertyChange] = jest.fn()
+        const fixture = render()
+        const todo = { done: false }
+        fixture.items = [todo]
+        expect(fixture.items[0].done).toBe(false)
+        // When
+        fixture.items = [todo, { done: false }]
+        fixture.items[0].done = true
+        // Then
+        expect(
+          TestElement.prototype[External.onPropertyChange]
+        ).toHaveBeenCalledWith("items", false, true, "items.0.done")
+        expect(fixture.count).toEqual(4)
+      })
+
+      it("finds raw and observed items by identity", () => {
+        // Given
+        const fixture = mount({ view: "<div></div>", properties })
+        const item = { id: 1 }
+        const other = { id: 2 }
+        // When
+        fixture.items = [item, other, item]
+        // Then
+        expect(fixture.items.includes(item)).toBe(true)
+        expect(fixture.items.includes(fixture.items[1])).toBe(true)
+        expect(fixture.items.includes({ id: 1 })).toBe(false)
+        expect(fixture.items.indexOf(item)).toEqual(0)
+        expect(fixture.items.indexOf(item, 1)).toEqual(2)
+        expect(fixture.items.lastIndexOf(item)).toEqual(2)
+        expect(fixture.items.indexOf(fixture.items[1])).toEqual(1)
+      })
+
+      it("observes nested mutations once after reconnecting", () => {
+        // Given
+        const [TestElement, render] = mount({
+          wait: true,
+          view: "<div></div>",
+          properties,
+        })
+        TestElement.prototype[External.onPropertyChange] = jest.fn()
+        const fixture = render()
+        document.body.removeChild(fixture)
+        document.body.appendChild(fixture)
+        const count = fixture.count
+        // When
+        fixture.items.push("b")
+        // Then
+        expect(
+          TestElement.prototype[External.onPropertyChange].mock.calls
+        ).toEqual([["items", undefined, "b", "items.1"]])
+        expect(fixture.count).toEqual(count + 1)
+        expect(toRaw(toRaw(fixture.items))).toBe(toRaw(fixture.items))
+      })
+
+      it("stores raw values for values copied from observed values", () => {
+        // Given
+        const [TestElement, render] = mount({
+          wait: true,
+          view: "<div></div>",
+          properties: {
+            todos: { default: () => [{ done: false }], deep: true },
+          },
+        })
+        TestElement.prototype[External.onPropertyChange] = jest.fn()
+        const fixture = render()
+        // When
+        fixture.todos = [...fixture.todos]
+        fixture.todos = fixture.todos.filter(Boolean)
+        fixture.todos.push({ items: [fixture.todos[0]] })
+        TestElement.prototype[External.onPropertyChange].mockClear()
+        fixture.todos[1].items[0].done = true
+        // Then
+        const [todo] = toRaw(fixture.todos)
+        expect(toRaw(todo)).toBe(todo)
+        expect(toRaw(fixture.todos)[1].items[0]).toBe(todo)
+        expect(
+          TestElement.prototype[External.onPropertyChange]
+        ).toHaveBeenCalledTimes(1)
+        expect(
+          TestElement.prototype[External.onPropertyChange]
+        ).toHaveBeenCalledWith("todos", false, true, "todos.1.items.0.done")
+      })
+
+      it("stores raw values and ignores mutations of replaced values", () => {
+        // Given
+        const fixture = mount({ view: "<div></div>", properties })
+        const previousItems = fixture.items
+        // When
+        fixture.items = ["c"]
+        previousItems.push("b")
+        // Then
+        expect(fixture.count).toEqual(2)
+        expect(fixture.items).toEqual(["c"])
+      })
+    })
+
+    describe("property warnings", () => {
+      /* eslint-disable no-console */
+      beforeAll(() => {
+        console.warn = jest.fn()
+        console.error = jest.fn()
+      })
+
+      afterAll(() => {
+        console.warn.mockClear()
+        console.error.mockClear()
+      })
+
+      const typeWarning =
+        "[BulbaElement]: Property 'testProp' is type 'string', expected 'boolean'."
+      const requiredWithTypeWarning =
+        "[BulbaElement]: Property 'testProp' of type 'string' is required."
+      const requiredWarning = "[BulbaElement]: Property 'testProp' is required."
+
+      it("will print warning on upgrade if assigned type doesn't match", () => {
+        // Given
+        const properties = {
+          testProp: {
+            type: "boolean",
+            default: "foo",
+          },
+        }
+        mount({
+          view: "<div></div>",
+          properties,
+        })
+        // Then
+        expect(console.warn).toHaveBeenCalledWith(typeWarning)
+      })
+
+      it("will print warning on value change if assigned type doesn't match", () => {
+        // Given
+        const properties = {
+          testProp: {
+            type: "boolean",
+            default: true,
+          },
+        }
+        const fixture = mount({
+          view: "<div></div>",
+          properties,
+        })
+        // When
+        fixture.testProp = "foo"
+        // Then
+        expect(console.warn).toHaveBeenCalledWith(typeWarning)
+      })
+
+      it("will print error on upgrade if required prop has no default", () => {
+        // Given
+        const properties = {
+          testProp: {
+            required: true,
+          },
+        }
+        mount({
+          view: "<div></div>",
+          properties,
+        })
+        // Then
+        expect(console.error).toHaveBeenCalledWith(requiredWarning)
+      })
+
+      it("will print error on upgrade if required, typed prop has no default", () => {
+        // Given
+        const properties = {
+          testProp: {
+            type: "string",
+            required: true,
+          },
+        }
+        mount({
+          view: "<div></div>",
+          properties,
+        })
+        // Then
+        expect(console.error).toHaveBeenCalledWith(requiredWithTypeWarning)
+      })
+
+      it("will print error on value change if required prop is undefined", () => {
+        // Given
+        const properties = {
+          testProp: {
+            required: true,
+            default: "foo",
+          },
+        }
+        const fixture = mount({
+          view: "<div></div>",
+          properties,
+        })
+        fixture.testProp = undefined
+        // Then
+        expect(console.error).toHaveBeenCalledWith(requiredWarning)
+      })
+
+      it("will print error on value change if required, typed prop is undefined", () => {
+        // Given
+        const properties = {
+          testProp: {
+            required: true,
+            type: "string",
+            default: "foo",
+          },
+        }
+        const fixture = mount({
+          view: "<div></div>",
+          properties,
+        })
+        fixture.testProp = undefined
+        // Then
+        expect(console.error).toHaveBeenCalledWith(requiredWithTypeWarning)
+      })
+
+      it("will not print error on upgrade if required, reflected prop has attribute", () => {
+        // Given
+        const properties = {
+          testReflectRequired: {
+            required: true,
+            reflected: true,
+          },
+        }
+        const attributes = {
+          "test-reflect-required": "foo",
+        }
+        mount({
+          view: "<div></div>",
+          properties,
+          attributes,
+        })
+        // Then
+        expect(console.error).not.toHaveBeenCalledWith(requiredWarning)
+      })
+    })
+
+    describe("option.type attribute conversion", () => {
+      /* eslint-disable no-console */
+      beforeEach(() => {
+        jest.spyOn(console, "warn").mockImplementation(() => {})
+      })
+
+      it("parses number attributes without type warnings", () => {
+        // Given
+        const properties = { total: { type: "number", reflected: true } }
+        const attributes = { total: "5" }
+        // When
+        const fixture = mount({ view: "<div></div>", properties, attributes })
+        fixture.setAttribute("total", "10")
+        // Then
+        expect(fixture.total).toEqual(10)
+        expect(console.warn).not.toHaveBeenCalled()
+      })
+
+      it("reflects numbers as strings", () => {
+        // Given
+        const properties = {
+          total: { type: "number", default: 0, reflected: true },
+        }
+        const fixture = mount({ view: "<div></div>", properties })
+        // When
+        fixture.total = 3
+        // Then
+        expect(fixture.getAttribute("total")).toEqual("3")
+      })
+
+      it("uses attribute presence for booleans", () => {
+        // Given
+        const properties = {
+          open: { type: "boolean", default: false, reflected: true },
+        }
+        const fixture = mount({ view: "<div></div>", properties })
+        // When
+        fixture.setAttribute("open", "")
+        // Then
+        expect(fixture.open).toBe(true)
+        // When
+        fixture.removeAttribute("open")
+        // Then
+        expect(fixture.open).toBe(false)
+        expect(console.warn).not.toHaveBeenCalled()
+      })
+
+      it("reflects booleans by adding or removing the attribute", () => {
+        // Given
+        const properties = {
+          open: { type: "boolean", default: false, reflected: true },
+        }
+        const fixture = mount({ view: "<div></div>", properties })
+        // Then
+        expect(fixture.hasAttribute("open")).toBe(false)
+        // When
+        fixture.open = true
+        // Then
+        expect(fixture.getAttribute("open")).toEqual("")
+        // When
+        fixture.open = false
+        // Then
+        expect(fixture.hasAttribute("open")).toBe(false)
+      })
+
+      it("converts objects and arrays as JSON", () => {
+        // Given
+        const properties = {
+          config: { type: "object", reflected: true },
+          items: { type: "array", default: () => [1, 2], reflected: true },
+        }
+        const attributes = { config: '{"open":true}' }
+        // When
+        const fixture = mount({ view: "<div></div>", properties, attributes })
+        // Then
+        expect(fixture.config).toEqual({ open: true })
+        expect(fixture.getAttribute("items")).toEqual("[1,2]")
+        expect(console.warn).not.toHaveBeenCalled()
+      })
+
+      it("warns and keeps the default or current value for non-numeric values", () => {
+        // Given
+        const properties = {
+          total: { type: "number", default: 1, reflected: true },
+        }
+        const attributes = { total: "abc" }
+        // When
+        const fixture = mount({ view: "<div></div>", properties, attributes })
+        // Then
+        expect(fixture.total).toEqual(1)
+        expect(console.warn).toHaveBeenCalledWith(
+          "[BulbaElement]: Attribute value 'abc' isn't a number."
+        )
+        // When
+        fixture.setAttribute("total", "5")
+        fixture.setAttribute("total", "5px")
+        // Then
+        expect(fixture.total).toEqual(5)
+        expect(fixture.getAttribute("total")).toEqual("5px")
+      })
+
+      it("sets null without a type warning when the attribute is removed", () => {
+        // Given
+        const properties = {
+          total: { type: "number", default: 1, reflected: true },
+        }
+        const fixture = mount({ view: "<div></div>", properties })
+        // When
+        fixture.removeAttribute("total")
+        // Then
+        expect(fixture.total).toBeNull()
+        expect(console.warn).not.toHaveBeenCalled()
+      })
+
+      it("warns and keeps the default or current value for malformed JSON", () => {
+        // Given
+        const properties = {
+          config: {
+            type: "object",
+            default: () => ({ open: false }),
+            reflected: true,
+          },
+        }
+        const attributes = { config: "{open" }
+        // When
+        const fixture = mount({ view: "<div></div>", properties, attributes })
+        // Then
+        expect(fixture.bulbaId).toBeTruthy()
+        expect(fixture.count).toEqual(1)
+        expect(fixture.config).toEqual({ open: false })
+        expect(console.warn).toHaveBeenCalledWith(
+          "[BulbaElement]: Attribute value '{open' isn't valid JSON, expected 'object'."
+        )
+        // When
+        fixture.setAttribute("config", '{"open":true}')
+        fixture.setAttribute("config", "[1,")
+        // Then
+        expect(fixture.config).toEqual({ open: true })
+      })
+
+      it("keeps the assigned object instead of a parsed copy", () => {
+        // Given
+        const properties = { config: { type: "object", reflected: true } }
+        const fixture = mount({ view: "<div></div>", properties })
+        const config = { open: true }
+        // When
+        fixture.config = config
+        // Then
+        expect(fixture.config).toBe(config)
+        expect(fixture.getAttribute("config")).toEqual('{"open":true}')
+      })
+
+      it("uses a custom converter", () => {
+        // Given
+        const properties = {
+          tags: {
+            reflected: true,
+            default: ["a", "b"],
+            converter: {
+              fromAttribute: (value) => value.split(" "),
+              toAttribute: (value) => value.join(" "),
+            },
+          },
+        }
+        const fixture = mount({ view: "<div></div>", properties })
+        // Then
+        expect(fixture.getAttribute("tags")).toEqual("a b")
+        // When
+        fixture.setAttribute("tags", "c d")
+        // Then
+        expect(fixture.tags).toEqual(["c", "d"])
+      })
+      /* eslint-enable no-console */
+    })
+
+    /* eslint-ehnable no-console */
+  })
+
+  describe("observed attributes", () => {
+    it("observes extra attributes with no property", () => {
+      // Given
+      const [TestElement] = mount({
+        wait: true,
+        view: "<div></div>",
+        properties: { testProp: { reflected: true } },
+      })
+      class ChildElement extends TestElement {
+        static get attributes() {
+          return ["description"]
+        }
+      }
+      register("observed-attributes-child", ChildElement)
+      // Then
+      expect(ChildElement.observedAttributes).toEqual([
+        "description",
+        "test-prop",
+      ])
+      // When
+      const fixture = document.createElement("observed-attributes-child")
+      document.body.appendChild(fixture)
+      fixture.setAttribute("description", "foo")
+      // Then
+      expect(fixture.count).toEqual(2)
+    })
+  })
+
+  describe("update completion", () => {
+    beforeEach(() => {
+      window.requestAnimationFrame.mockImplementation((cb) => setTimeout(cb))
+    })
+
+    it("resolves updateComplete after the requested render", async () => {
+      // Given
+      const properties = { testProp: { default: "a" } }
+      const fixture = mount({ properties, view: "<div></div>" })
+      await fixture.updateComplete
+      // When
+      fixture.testProp = "b"
+      const countBefore = fixture.count
+      await fixture.updateComplete
+      // Then
+      expect(countBefore).toEqual(1)
+      expect(fixture.count).toEqual(2)
+    })
+
+    it("returns the updateComplete promise from requestRender", async () => {
+      // Given
+      const fixture = mount({ view: "<div></div>" })
+      // When
+      const promise = fixture.requestRender()
+      // Then
+      expect(promise).toBe(fixture.updateComplete)
+      await promise
+      expect(fixture.count).toEqual(1)
+    })
+
+    it("stays pending while renders are requested from onUpdate", async () => {
+      // Given
+      const properties = { testProp: { default: 0 } }
+      const [TestElement, render] = mount({
+        wait: true,
+        properties,
+        view: "<div></div>",
+      })
+      TestElement.prototype[External.onUpdate] = function () {
+        if (this.testProp < 3) this.testProp++
+      }
+      const fixture = render()
+      await fixture.updateComplete
+      // When
+      fixture.testProp = 1
+      await fixture.updateComplete
+      // Then
+      expect(fixture.testProp).toEqual(3)
+      expect(fixture.count).toEqual(4)
+    })
+
+    it("resolves immediately if no render is pending", async () => {
+      // Given
+      const fixture = mount({ view: "<div></div>" })
+      await fixture.updateComplete
+      // When
+      const result = await fixture.updateComplete
+      // Then
+      expect(result).toBeUndefined()
+      expect(fixture.count).toEqual(1)
+    })
+  })
+
+  describe("error boundaries", () => {
+    const error = new Error("Oops")
+
+    const mountThrowing = (options = {}) => {
+      const [TestElement, render] = mount({ wait: true, ...options })
+      TestElement.prototype.render = function () {
+        if (this.shouldThrow) throw error
+        return options.view
+      }
+      return [TestElement, render]
+    }
+
+    afterEach(() => {
+      setErrorHandler(null)
+    })
+
+    it("calls onError with the error and phase if render throws", () => {
+      // Given
+      const [TestElement, render] = mountThrowing({ view: "<div></div>" })
+      TestElement.prototype[External.onError] = jest.fn()
+      const fixture = render()
+      // When
+      fixture.shouldThrow = true
+      fixture.requestRender()
+      // Then
+      expect(TestElement.prototype[External.onError]).toHaveBeenCalledWith(
+        error,
+        External.render,
+        fixture
+      )
+      expect(fixture.shadowRoot.lastChild.outerHTML).toEqual("<div></div>")
+    })
+
+    it("calls onError with the lifecycle name if a lifecycle throws", () => {
+      // Given
+      const [TestElement, render] = mount({ wait: true, view: "<div></div>" })
+      TestElement.prototype[External.onError] = jest.fn()
+      TestElement.prototype[External.onMount] = () => {
+        throw error
+      }
+      // When
+      const fixture = render()
+      // Then
+      expect(TestElement.prototype[External.onError]).toHaveBeenCalledWith(
+        error,
+        External.onMount,
+        fixture
+      )
+    })
+
+    const fallbackFixtures = [
+      ["<div></div>", (e) => `<p>${e.message}</p>`, "template"],
+      [<div />, (e) => <p>{e.message}</p>, "jsx"],
+    ]
+
+    fallbackFixtures.forEach(([view, fallback, rendererType]) => {
+      it(`patches in the renderError view (${rendererType})`, () => {
+        // Given
+        const [TestElement, render] = mountThrowing({ view })
+        TestElement.prototype[External.renderError] = fallback
+        const fixture = render()
+        // When
+        fixture.shouldThrow = true
+        fixture.requestRender()
+        // Then
+        expect(fixture.shadowRoot.lastChild.outerHTML).toEqual("<p>Oops</p>")
+      })
+
+      it(`renders the view again on the next render (${rendererType})`, () => {
+        // Given
+        const [TestElement, render] = mountThrowing({ view })
+        TestElement.prototype[External.renderError] = fallback
+        const fixture = render()
+        fixture.shouldThrow = true
+        fixture.requestRender()
+        // When
+        fixture.shouldThrow = false
+        fixture.requestRender()
+        // Then
+        expect(fixture.shadowRoot.lastChild.outerHTML).toEqual("<div></div>")
+      })
+    })
+
+    it("bubbles errors to the closest boundary across shadow roots", () => {
+      // Given
+      const [ParentElement, renderParent] = mount({
+        wait: true,
+        view: "<div></div>",
+      })
+      ParentElement.prototype[External.onError] = jest.fn()
+      ParentElement.prototype[External.renderError] = () => "<p>Fallback</p>"
+      const parent = renderParent()
+      const child = mountThrowing({ view: "<div></div>" })[1]()
+      parent.shadowRoot.appendChild(child)
+      // When
+      child.shouldThrow = true
+      child.requestRender()
+      // Then
+      expect(ParentElement.prototype[External.onError]).toHaveBeenCalledWith(
+        error,
+        External.render,
+        child
+      )
+      expect(parent.shadowRoot.querySelector("p").textContent).toEqual(
+        "Fallback"
+      )
+    })
+
+    it("rethrows errors if there is no boundary", () => {
+      // Given
+      const fixture = mountThrowing({ view: "<div></div>" })[1]()
+      // When
+      fixture.shouldThrow = true
+      // Then
+      expect(() => fixture.requestRender()).toThrow(error)
+    })
+
+    it("reports every error to the global error handler", () => {
+      // Given
+      const handler = jest.fn()
+      const [TestElement, render] = mountThrowing({ view: "<div></div>" })
+      TestElement.prototype[External.onError] = jest.fn()
+      setErrorHandler(handler)
+      const fixture = render()
+      // When
+      fixture.shouldThrow = true
+      fixture.requestRender()
+      // Then
+      expect(handler).toHaveBeenCalledWith(error, External.render, fixture)
+    })
+  })
+
+  describe("events", () => {
+    /* eslint-disable no-console */
+    const events = {
+      "item-select": { detail: { id: "string", index: "number" } },
+      "item-remove": { bubbles: false, cancelable: true, detail: "string" },
+    }
+
+    const mountWithEvents = () => {
+      const [TestElement, render] = mount({ wait: true, view: "<div></div>" })
+      Object.defineProperty(TestElement, "events", { get: () => events })
+      return render()
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, "warn").mockImplementation(() => {})
+    })
+
+    it("dispatches a bubbling, composed event with the given detail", () => {
+      // Given
+      const fixture = mountWithEvents()
+      const listener = jest.fn()
+      document.body.addEventListener("item-select", listener)
+      // When
+      fixture.emit("item-select", { id: "a", index: 0 })
+      // Then
+      const [event] = listener.mock.calls[0]
+      expect(event.bubbles).toBe(true)
+      expect(event.composed).toBe(true)
+      expect(event.detail).toEqual({ id: "a", index: 0 })
+      expect(console.warn).not.toHaveBeenCalled()
+      document.body.removeEventListener("item-select", listener)
+    })
+
+    it("uses the declared options", () => {
+      // Given
+      const fixture = mountWithEvents()
+      const listener = jest.fn((event) => event.preventDefault())
+      fixture.addEventListener("item-remove", listener)
+      // When
+      const result = fixture.emit("item-remove", "a")
+      // Then
+      const [event] = listener.mock.calls[0]
+      expect(event.bubbles).toBe(false)
+      expect(event.cancelable).toBe(true)
+      expect(result).toBe(false)
+    })
+
+    it("warns if the event isn't declared", () => {
+      // Given
+      const fixture = mountWithEvents()
+      // When
+      fixture.emit("item-add")
+      // Then
+      expect(console.warn).toHaveBeenCalledWith(
+        "[BulbaElement]: Event 'item-add' is not declared in element: 'TestElement'."
+      )
+    })
+
+    it("warns if the detail doesn't match the declared shape", () => {
+      // Given
+      const fixture = mountWithEvents()
+      // When
+      fixture.emit("item-select", { id: 1, index: 0 })
+      fixture.emit("item-remove", 1)
+      // Then
+      expect(console.warn).toHaveBeenCalledWith(
+        "[BulbaElement]: Event 'item-select' detail 'id' is type 'number', expected 'string'."
+      )
+      expect(console.warn).toHaveBeenCalledWith(
+        "[BulbaElement]: Event 'item-remove' detail is type 'number', expected 'string'."
+      )
+    })
+
+    it("returns the declarations with default options applied", () => {
+      // Given
+      const fixture = mountWithEvents()
+      // Then
+      expect(getEventDeclarations(fixture.constructor)).toEqual({
+        "item-select": {
+          bubbles: true,
+          composed: true,
+          cancelable: false,
+          detail: { id: "string", index: "number" },
+        },
+        "item-remove": {
+          bubbles: false,
+          composed: true,
+          cancelable: true,
+          detail: "string",
+        },
+      })
+    })
+  })
+
+  const listenerFixtures = [
+    ['<div><button id="btn"><span>Click</span></button></div>', "template"],
+    [
+      <div>
+        <button id="btn">
+          <span>Click</span>
+        </button>
+      </div>,
+      "jsx",
+    ],
+  ]
+
+  listenerFixtures.forEach(([view, rendererType]) => {
+    describe(`${rendererType} listeners`, () => {
+      const mountWithListeners = (listeners) => {
+        const [TestElement, render] = mount({ wait: true, view })
+        Object.defineProperty(TestElement, "listeners", {
+          get: () => listeners,
+        })
+        TestElement.prototype.handleEvent = jest.fn()
+        return [TestElement, render()]
+      }
+
+      it("delegates listeners with a selector from the render root", () => {
+        // Given
+        const [TestElement, fixture] = mountWithListeners({
+          "click #btn": "handleEvent",
+        })
+        const span = fixture.shadowRoot.querySelector("span")
+        // When
+        span.click()
+        // Then
+        const [event, delegateTarget] =
+          TestElement.prototype.handleEvent.mock.calls[0]
+        expect(event.type).toEqual("click")
+        expect(delegateTarget).toBe(fixture.shadowRoot.querySelector("#btn"))
+        expect(TestElement.prototype.handleEvent.mock.instances[0]).toBe(
+          fixture
+        )
+      })
+
+      it("keeps delegated listeners after re-rendering", () => {
+        // Given
+        const [TestElement, fixture] = mountWithListeners({
+          "click #btn": "handleEvent",
+        })
+        // When
+        fixture.requestRender()
+        fixture.shadowRoot.querySelector("#btn").click()
+        // Then
+        expect(TestElement.prototype.handleEvent).toHaveBeenCalledTimes(1)
+      })
+
+      it("listens on the host without a selector", () => {
+        // Given
+        const [TestElement, fixture] = mountWithListeners({
+          keydown: "handleEvent",
+        })
+        // When
+        fixture.dispatchEvent(new KeyboardEvent("keydown"))
+        // Then
+        expect(TestElement.prototype.handleEvent).toHaveBeenCalledTimes(1)
+      })
+
+      it("removes global listeners when disconnected", () => {
+        // Given
+        const [TestElement, fixture] = mountWithListeners({
+          "window:resize": "handleEvent",
+        })
+        window.dispatchEvent(new Event("resize"))
+        // When
+        document.body.removeChild(fixture)
+        window.dispatchEvent(new Event("resize"))
+        // Then
+        expect(TestElement.prototype.handleEvent).toHaveBeenCalledTimes(1)
+      })
+
+      it("calls async methods and passes rejections to onError", async () => {
+        // Given
+        const error = new Error("failed")
+        const [TestElement, fixture] = mountWithListeners({
+          "click #btn": "handleEvent",
+        })
+        const calls = []
+        TestElement.prototype.handleEvent = async function (event) {
+          calls.push(event.type)
+          throw error
+        }
+        TestElement.prototype[External.onError] = jest.fn()
+        // When
+        fixture.shadowRoot.querySelector("#btn").click()
+        await Promise.resolve()
+        // Then
+        expect(calls).toEqual(["click"])
+        expect(TestElement.prototype[External.onError]).toHaveBeenCalledWith(
+          error,
+          "handleEvent",
+          fixture
+        )
+      })
+
+      it("calls the current method when the event fires", () => {
+        // Given
+        const [TestElement, fixture] = mountWithListeners({
+          keydown: "handleEvent",
+        })
+        const replacement = jest.fn()
+        // When
+        TestElement.prototype.handleEvent = replacement
+        fixture.dispatchEvent(new KeyboardEvent("keydown"))
+        // Then
+        expect(replacement).toHaveBeenCalledTimes(1)
+      })
+    })
+  })
+
+  describe("refs", () => {
+    const mountWithView = (view, getView) => {
+      const [TestElement, render] = mount({
+        wait: true,
+        properties: { swapped: { default: false } },
+        view,
+      })
+      TestElement.prototype.render = function () {
+        return getView(this)
+      }
+      return render()
+    }
+
+    it("collects template nodes with a ref attribute", () => {
+      // Given
+      const fixture = mountWithView("", (el) =>
+        el.swapped
+          ? `<div><span ref="item"></span></div>`
+          : `<div><p ref="item"></p></div>`
+      )
+      // Then
+      expect(fixture.refs.item).toBe(fixture.shadowRoot.querySelector("p"))
+      // When
+      fixture.swapped = true
+      // Then
+      expect(fixture.refs.item).toBe(fixture.shadowRoot.querySelector("span"))
+    })
+
+    it("sets jsx ref callbacks, objects and names", () => {
+      // Given
+      const callbackRef = jest.fn()
+      const objectRef = { current: null }
+      const fixture = mountWithView(<div />, () => (
+        <div>
+          <p ref={callbackRef} />
+          <b ref={objectRef} />
+          <i ref="item" />
+        </div>
+      ))
+      // Then
+      expect(callbackRef).toHaveBeenCalledWith(
+        fixture.shadowRoot.querySelector("p")
+      )
+      expect(objectRef.current).toBe(fixture.shadowRoot.querySelector("b"))
+      expect(fixture.refs.item).toBe(fixture.shadowRoot.querySelector("i"))
+      expect(fixture.shadowRoot.querySelector("[ref]")).toBeNull()
+    })
+
+    it("updates jsx refs when nodes are replaced", () => {
+      // Given
+      const objectRef = { current: null }
+      const fixture = mountWithView(<div />, (el) => (
+        <div>
+          {el.swapped ? <span ref={objectRef} /> : <p ref={objectRef} />}
+        </div>
+      ))
+      // When
+      fixture.swapped = true
+      // Then
+      expect(objectRef.current).toBe(fixture.shadowRoot.querySelector("span"))
+    })
+
+    const destroyFixtures = [
+      [`<div><p ref="item"></p></div>`, "template"],
+      [
+        <div>
+          <p ref="item" />
+        </div>,
+        "jsx",
+      ],
+    ]
+
+    destroyFixtures.forEach(([view, rendererType]) => {
+      it(`clears refs when disconnected (${rendererType})`, () => {
+        // Given
+        const fixture = mountWithView(view, () => view)
+        // When
+        document.body.removeChild(fixture)
+        // Then
+        expect(fixture.refs).toEqual({})
+      })
+    })
+
+    it("clears jsx ref callbacks when disconnected", () => {
+      // Given
+      const callbackRef = jest.fn()
+      const fixture = mountWithView(<div />, () => (
+        <div>
+          <p ref={callbackRef} />
+        </div>
+      ))
+      // When
+      document.body.removeChild(fixture)
+      // Then
+      expect(callbackRef).toHaveBeenLastCalledWith(null)
+    })
+  })
+
+  describe("controllers", () => {
+    const createController = () => ({
+      hostConnected: jest.fn(),
+      hostDisconnected: jest.fn(),
+      hostUpdate: jest.fn(),
+      hostUpdated: jest.fn(),
+    })
+
+    it("runs controller callbacks with the host lifecycle", () => {
+      // Given
+      const controller = createController()
+      const [TestElement, render] = mount({ wait: true, view: "<div></div>" })
+      TestElement.prototype[External.onConnect] = function () {
+        this.addController(controller)
+      }
+      // When
+      const fixture = render()
+      fixture.requestRender()
+      document.body.removeChild(fixture)
+      // Then
+      expect(controller.hostConnected).toHaveBeenCalledTimes(1)
+      expect(controller.hostUpdate).toHaveBeenCalledTimes(2)
+      expect(controller.hostUpdated).toHaveBeenCalledTimes(2)
+      expect(controller.hostDisconnected).toHaveBeenCalledTimes(1)
+    })
+
+    it("runs hostUpdate before render and hostUpdated after onUpdate", () => {
+      // Given
+      const calls = []
+      const [TestElement, render] = mount({ wait: true, view: "<div></div>" })
+      TestElement.prototype[External.onUpdate] = () => calls.push("onUpdate")
+      const fixture = render()
+      fixture.addController({
+        hostUpdate: () => calls.push(`hostUpdate:${fixture.count}`),
+        hostUpdated: () => calls.push(`hostUpdated:${fixture.count}`),
+      })
+      // When
+      fixture.requestRender()
+      // Then
+      expect(calls).toEqual(["hostUpdate:1", "onUpdate", "hostUpdated:2"])
+    })
+
+    it("lets controllers request renders from the host", () => {
+      // Given
+      const fixture = mount({ view: "<div></div>" })
+      const controller = {
+        hostConnected: () => {},
+        tick: () => fixture.requestRender(),
+      }
+      fixture.addController(controller)
+      // When
+      controller.tick()
+      // Then
+      expect(fixture.count).toEqual(2)
+    })
+
+    it("stops calling removed controllers", () => {
+      // Given
+      const controller = createController()
+      const fixture = mount({ view: "<div></div>" })
+      fixture.addController(controller)
+      // When
+      fixture.removeController(controller)
+      fixture.requestRender()
+      // Then
+      expect(controller.hostConnected).toHaveBeenCalledTimes(1)
+      expect(controller.hostUpdate).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("context", () => {
+    const mountProvider = (value) => {
+      const [ProviderElement, render] = mount({
+        wait: true,
+        view: "<div></div>",
+      })
+      ProviderElement.prototype[External.onConnect] = function () {
+        this.provide("theme", value)
+      }
+      return [ProviderElement, render]
+    }
+
+    const mountConsumer = () => {
+      const [ConsumerElement, render] = mount({
+        wait: true,
+        view: "<div></div>",
+      })
+      ConsumerElement.prototype.render = function () {
+        this.count = this.count + 1
+        this.theme = this.consume("theme")
+        return "<div></div>"
+      }
+      return [ConsumerElement, render]
+    }
+
+    it("consumes the value of the closest provider across shadow roots", () => {
+      // Given
+      const outer = mountProvider("light")[1]()
+      const inner = mountProvider("dark")[1]()
+      const consumer = mountConsumer()[1]()
+      // When
+      outer.shadowRoot.appendChild(inner)
+      inner.shadowRoot.appendChild(consumer)
+      // Then
+      expect(consumer.theme).toEqual("dark")
+    })
+
+    it("re-renders consumers when the provided value changes", () => {
+      // Given
+      const provider = mountProvider("light")[1]()
+      const consumer = mountConsumer()[1]()
+      provider.shadowRoot.appendChild(consumer)
+      const countBefore = consumer.count
+      // When
+      provider.provide("theme", "dark")
+      // Then
+      expect(consumer.theme).toEqual("dark")
+      expect(consumer.count).toEqual(countBefore + 1)
+    })
+
+    it("resolves consumers connected before the provider upgrades", () => {
+      // Given
+      const [ProviderElement] = mountProvider("dark")
+      const provider = document.createElement("late-context-provider")
+      const consumer = mountConsumer()[1]()
+      provider.appendChild(consumer)
+      document.body.appendChild(provider)
+      expect(consumer.theme).toBeUndefined()
+      // When
+      register("late-context-provider", class extends ProviderElement {})
+      // Then
+      expect(consumer.theme).toEqual("dark")
+    })
+
+    it("unsubscribes consumers when disconnected", () => {
+      // Given
+      const provider = mountProvider("light")[1]()
+      const consumer = mountConsumer()[1]()
+      provider.shadowRoot.appendChild(consumer)
+      provider.shadowRoot.removeChild(consumer)
+      const countBefore = consumer.count
+      // When
+      provider.provide("theme", "dark")
+      // Then
+      expect(consumer.count).toEqual(countBefore)
+    })
+  })
+
+  describe("store binding", () => {
+    const createStore = (state) => {
+      let listeners = []
+      return {
+        getState: () => state,
+        setState(nextState) {
+          state = { ...state, ...nextState }
+          listeners.forEach((listener) => listener())
+        },
+        subscribe(listener) {
+          listeners.push(listener)
+          return () => {
+            listeners = listeners.filter((item) => item !== listener)
+          }
+        },
+        get listenerCount() {
+          return listeners.length
+        },
+      }
+    }
+
+    const mountWithStore = (store) => {
+      const [TestElement, render] = mount({ wait: true, view: "<div></div>" })
+      TestElement.prototype[External.onConnect] = function () {
+        this.bindStore(store, { todos: (state) => state.todos })
+      }
+      return render()
+    }
+
+    it("exposes selected state as properties", () => {
+      // Given
+      const store = createStore({ todos: ["a"], filter: "all" })
+      // When
+      const fixture = mountWithStore(store)
+      // Then
+      expect(fixture.todos).toEqual(["a"])
+    })
+
+    it("re-renders only when a selected value changes", () => {
+      // Given
+      const store = createStore({ todos: ["a"], filter: "all" })
+      const fixture = mountWithStore(store)
+      // When
+      store.setState({ filter: "done" })
+      // Then
+      expect(fixture.count).toEqual(1)
+      // When
+      store.setState({ todos: ["a", "b"] })
+      // Then
+      expect(fixture.todos).toEqual(["a", "b"])
+      expect(fixture.count).toEqual(2)
+    })
+
+    it("unsubscribes when disconnected and resubscribes when reconnected", () => {
+      // Given
+      const store = createStore({ todos: [] })
+      const fixture = mountWithStore(store)
+      // When
+      document.body.removeChild(fixture)
+      // Then
+      expect(store.listenerCount).toEqual(0)
+      // When
+      store.setState({ todos: ["a"] })
+      document.body.appendChild(fixture)
+      // Then
+      expect(store.listenerCount).toEqual(1)
+      expect(fixture.todos).toEqual(["a"])
+    })
+
+    it("returns the bound controller when binding the store again", () => {
+      // Given
+      /* eslint-disable no-console */
+      jest.spyOn(console, "warn").mockImplementation(() => {})
+      const store = createStore({ todos: [] })
+      const fixture = mountWithStore(store)
+      const selectors = { todos: (state) => state.todos }
+      // When
+      document.body.removeChild(fixture)
+      document.body.appendChild(fixture)
+      // Then
+      expect(store.listenerCount).toEqual(1)
+      expect(console.warn).not.toHaveBeenCalled()
+      expect(fixture.bindStore(store, selectors)).toBe(
+        fixture.bindStore(store, selectors)
+      )
+      expect(store.listenerCount).toEqual(1)
+    })
+
+    it("supports subscriptions with an unsubscribe method", () => {
+      // Given
+      const store = createStore({ todos: [] })
+      const unsubscribe = jest.fn()
+      const observableStore = {
+        getState: store.getState,
+        subscribe: (listener) => {
+          store.subscribe(listener)
+          return { unsubscribe }
+        },
+      }
+      const fixture = mountWithStore(observableStore)
+      // When
+      document.body.removeChild(fixture)
+      // Then
+      expect(unsubscribe).toHaveBeenCalled()
+    })
+  })
+
+  describe("signals", () => {
+    const signalFixtures = [
+      [(count) => `<p>${count}</p>`, "template"],
+      [(count) => <p>{count}</p>, "jsx"],
+    ]
+
+    signalFixtures.forEach(([getView, rendererType]) => {
+      it(`re-renders when a signal read in render changes (${rendererType})`, () => {
+        // Given
+        const count = new Signal.State(0)
+        const [TestElement, render] = mount({ wait: true, view: getView(0) })
+        TestElement.prototype.render = function () {
+          this.count = this.count + 1
+          return getView(count.get())
         }
-        const fixture = mount({
-          view: "<div></div>",
-          properties,
-        })
-        fixture.testProp = undefined
+        const fixture = render()
+        // When
+        count.set(1)
         // Then
-        expect(console.error).toHaveBeenCalledWith(requiredWithTypeWarning)
+        expect(fixture.shadowRoot.lastChild.outerHTML).toEqual("<p>1</p>")
+        expect(fixture.count).toEqual(2)
       })
+    })
 
-      it("will not print error on upgrade if required, reflected prop has attribute", () => {
-        // Given
-        const properties = {
-          testReflectRequired: {
-            required: true,
+    it("stops tracking signals when disconnected", () => {
+      // Given
+      const count = new Signal.State(0)
+      const [TestElement, render] = mount({ wait: true, view: "<div></div>" })
+      TestElement.prototype.render = function () {
+        this.count = this.count + 1
+        return `<p>${count.get()}</p>`
+      }
+      const fixture = render()
+      // When
+      document.body.removeChild(fixture)
+      count.set(1)
+      // Then
+      expect(fixture.count).toEqual(1)
+    })
+
+    it("memoizes computed signals until a source changes", () => {
+      // Given
+      const first = new Signal.State("Ada")
+      const compute = jest.fn(() => first.get().toUpperCase())
+      const upper = new Signal.Computed(compute)
+      // When
+      upper.get()
+      upper.get()
+      first.set("Grace")
+      // Then
+      expect(upper.get()).toEqual("GRACE")
+      expect(compute).toHaveBeenCalledTimes(2)
+    })
+
+    it("reads and writes a signal given as a property default", () => {
+      // Given
+      const shared = new Signal.State("a")
+      const properties = { shared: { default: shared } }
+      const first = mount({ view: "<div></div>", properties })
+      const second = mount({ view: "<div></div>", properties })
+      // When
+      first.shared = "b"
+      // Then
+      expect(shared.get()).toEqual("b")
+      expect(second.shared).toEqual("b")
+    })
+
+    it("invalidates computed properties reading signals", () => {
+      // Given
+      const name = new Signal.State("Ada")
+      const properties = {
+        greeting: {
+          computed: () => `Hello, ${name.get()}`,
+          reflected: true,
+        },
+      }
+      const fixture = mount({ view: "<div></div>", properties })
+      // When
+      name.set("Grace")
+      // Then
+      expect(fixture.greeting).toEqual("Hello, Grace")
+      expect(fixture.getAttribute("greeting")).toEqual("Hello, Grace")
+    })
+
+    it("stops tracking signals read by computed properties when disconnected", () => {
+      // Given
+      const name = new Signal.State("Ada")
+      const [TestElement, render] = mount({
+        wait: true,
+        view: "<div></div>",
+        properties: {
+          greeting: {
+            computed: () => `Hello, ${name.get()}`,
             reflected: true,
           },
-        }
-        const attributes = {
-          "test-reflect-required": "foo",
-        }
-        mount({
-          view: "<div></div>",
-          properties,
-          attributes,
+        },
+      })
+      TestElement.prototype[External.onMount] = jest.fn()
+      const fixture = render()
+      // When
+      document.body.removeChild(fixture)
+      name.set("Grace")
+      // Then
+      expect(fixture.count).toEqual(1)
+      expect(TestElement.prototype[External.onMount]).toHaveBeenCalledTimes(1)
+      expect(fixture.getAttribute("greeting")).toEqual("Hello, Ada")
+      // When
+      document.body.appendChild(fixture)
+      // Then
+      expect(fixture.greeting).toEqual("Hello, Grace")
+    })
+  })
+
+  describe("slots", () => {
+    const view = '<div><slot name="header"></slot><slot></slot></div>'
+    const nextTask = () => new Promise((done) => setTimeout(done))
+
+    it("returns nodes assigned to named and default slots", () => {
+      // Given
+      const fixture = mount({
+        view,
+        children: '<b slot="header">Title</b><i>Body</i>',
+      })
+      // Then
+      expect(fixture.slotted("header")).toEqual([fixture.querySelector("b")])
+      expect(fixture.slotted()).toEqual([fixture.querySelector("i")])
+    })
+
+    it("lists slots with content in the has-content attribute", async () => {
+      // Given
+      const fixture = mount({ view, children: "<i>Body</i>" })
+      // Then
+      expect(fixture.getAttribute("has-content")).toEqual("default")
+      // When
+      const header = document.createElement("b")
+      header.slot = "header"
+      fixture.appendChild(header)
+      await nextTask()
+      // Then
+      expect(fixture.getAttribute("has-content")).toEqual("header default")
+    })
+
+    it("calls onSlotChange when assigned nodes change", async () => {
+      // Given
+      const [TestElement, render] = mount({ wait: true, view })
+      TestElement.prototype[External.onSlotChange] = jest.fn()
+      const fixture = render()
+      await nextTask()
+      // When
+      const header = document.createElement("b")
+      header.slot = "header"
+      fixture.appendChild(header)
+      await nextTask()
+      // Then
+      expect(TestElement.prototype[External.onSlotChange]).toHaveBeenCalledWith(
+        "header",
+        [header]
+      )
+    })
+
+    it("calls onSlotChange for slots replaced by a patch", async () => {
+      // Given
+      const [TestElement, render] = mount({
+        wait: true,
+        view,
+        properties: { wrapped: { default: false } },
+        children: "<i>Body</i>",
+      })
+      TestElement.prototype.render = function () {
+        return this.wrapped
+          ? "<p><slot></slot></p>"
+          : "<div><slot></slot></div>"
+      }
+      const fixture = render()
+      await nextTask()
+      TestElement.prototype[External.onSlotChange] = jest.fn()
+      // When
+      fixture.wrapped = true
+      await nextTask()
+      // Then
+      expect(TestElement.prototype[External.onSlotChange]).toHaveBeenCalledWith(
+        "",
+        [fixture.querySelector("i")]
+      )
+    })
+  })
+
+  describe("scoped elements", () => {
+    const ElementBase = BulbaElement(TemplateRenderer)
+
+    class ScopedChildV1 extends ElementBase {
+      render() {
+        return "<p>v1</p>"
+      }
+    }
+
+    class ScopedChildV2 extends ElementBase {
+      render() {
+        return "<p>v2</p>"
+      }
+    }
+
+    const scopedFixtures = [
+      [
+        "<div><scoped-child></scoped-child><scoped-child></scoped-child></div>",
+        "template",
+      ],
+      [
+        <div>
+          <scoped-child />
+          <scoped-child />
+        </div>,
+        "jsx",
+      ],
+    ]
+
+    scopedFixtures.forEach(([view, rendererType]) => {
+      it(`defines and renames tags already defined with another class (${rendererType})`, () => {
+        // Given
+        register("scoped-child", ScopedChildV1)
+        const [TestElement, render] = mount({ wait: true, view })
+        Object.defineProperty(TestElement, "elements", {
+          get: () => ({ "scoped-child": ScopedChildV2 }),
         })
+        // When
+        const fixture = render()
         // Then
-        expect(console.error).not.toHaveBeenCalledWith(requiredWarning)
+        const children = fixture.shadowRoot.querySelectorAll("scoped-child-2")
+        expect(children.length).toEqual(2)
+        expect(children[0]).toBeInstanceOf(ScopedChildV2)
       })
     })
 
-    /* eslint-ehnable no-console */
+    it("defines declared elements with their own tag if it's free", () => {
+      // Given
+      class FreeChild extends ElementBase {
+        render() {
+          return "<p></p>"
+        }
+      }
+      const [TestElement, render] = mount({
+        wait: true,
+        view: "<free-scoped-child></free-scoped-child>",
+      })
+      Object.defineProperty(TestElement, "elements", {
+        get: () => ({ "free-scoped-child": FreeChild }),
+      })
+      // When
+      const fixture = render()
+      // Then
+      expect(customElements.get("free-scoped-child")).toBe(FreeChild)
+      expect(fixture.shadowRoot.lastChild).toBeInstanceOf(FreeChild)
+    })
+
+    it("defines classes already registered under another tag", () => {
+      // Given
+      class SharedChild extends ElementBase {
+        render() {
+          return "<p>shared</p>"
+        }
+      }
+      register("app-shared-child", SharedChild)
+      const [TestElement, render] = mount({
+        wait: true,
+        view: "<host-shared-child></host-shared-child>",
+      })
+      const [OtherElement, renderOther] = mount({
+        wait: true,
+        view: "<host-shared-child></host-shared-child>",
+      })
+      const elements = { get: () => ({ "host-shared-child": SharedChild }) }
+      Object.defineProperty(TestElement, "elements", elements)
+      Object.defineProperty(OtherElement, "elements", elements)
+      // When
+      const fixture = render()
+      const other = renderOther()
+      // Then
+      expect(fixture.shadowRoot.lastChild).toBeInstanceOf(SharedChild)
+      expect(other.shadowRoot.lastChild.localName).toEqual("host-shared-child")
+      expect(customElements.get("host-shared-child-2")).toBeUndefined()
+    })
+
+    it("warns when a tag is registered again with a different class", () => {
+      // Given
+      /* eslint-disable no-console */
+      jest.spyOn(console, "warn").mockImplementation(() => {})
+      register("scoped-child", ScopedChildV1)
+      // When
+      register("scoped-child", ScopedChildV2)
+      // Then
+      expect(console.warn).toHaveBeenCalledWith(
+        "[BulbaElement]: Tag 'scoped-child' is already registered with a different class ('ScopedChildV1'), so 'ScopedChildV2' was not registered. If both versions are needed, declare the element in 'static elements' of the elements using it."
+      )
+    })
+  })
+
+  describe("devtools", () => {
+    const devtools = () => window.__BULBA_DEVTOOLS__
+    const properties = {
+      label: { default: "hello", reflected: true },
+      open: { default: false },
+    }
+
+    it("lists mounted elements with their state and render count", () => {
+      // Given
+      const fixture = mount({ view: "<p></p>", properties })
+      // When
+      fixture.open = true
+      // Then
+      expect(devtools().getInstance(fixture.bulbaId)).toEqual({
+        tag: fixture.localName,
+        id: fixture.bulbaId,
+        properties: { label: "hello", open: true },
+        attributes: { label: "hello" },
+        renderCount: 2,
+        element: fixture,
+      })
+      expect(
+        devtools()
+          .getInstances()
+          .map((instance) => instance.element)
+      ).toContain(fixture)
+    })
+
+    it("emits mount, update and unmount events", () => {
+      // Given
+      const listener = jest.fn()
+      const removers = ["mount", "update", "unmount"].map((type) =>
+        devtools().on(type, (instance) => listener(type, instance.element))
+      )
+      // When
+      const fixture = mount({ view: "<p></p>", properties })
+      fixture.label = "updated"
+      fixture.remove()
+      removers.forEach((remove) => remove())
+      // Then
+      expect(listener.mock.calls).toEqual([
+        ["mount", fixture],
+        ["update", fixture],
+        ["unmount", fixture],
+      ])
+      expect(devtools().getInstance(fixture.bulbaId)).toBeUndefined()
+    })
+
+    it("sets property values through the upgraded setters", () => {
+      // Given
+      const fixture = mount({
+        view: "<p></p>",
+        properties: { label: { default: "hello" } },
+      })
+      fixture.render = function () {
+        return `<p>${this.label}</p>`
+      }
+      // When
+      devtools().setProperty(fixture.bulbaId, "label", "edited")
+      // Then
+      expect(fixture.label).toEqual("edited")
+      expect(fixture.shadowRoot.querySelector("p").textContent).toEqual(
+        "edited"
+      )
+    })
+  })
+
+  describe("form association", () => {
+    let internals
+
+    beforeEach(() => {
+      internals = {
+        setFormValue: jest.fn(),
+        setValidity: jest.fn(),
+        checkValidity: jest.fn(() => false),
+        reportValidity: jest.fn(() => false),
+      }
+      HTMLElement.prototype.attachInternals = jest.fn(() => internals)
+    })
+
+    afterEach(() => {
+      delete HTMLElement.prototype.attachInternals
+    })
+
+    function mountFormElement(options = {}) {
+      const [TestElement, render] = mount({
+        wait: true,
+        view: "<div></div>",
+        ...options,
+      })
+      Object.defineProperty(TestElement, "formAssociated", { get: () => true })
+      return [TestElement, render]
+    }
+
+    it("attaches internals if form-associated", () => {
+      // Given
+      const [, render] = mountFormElement()
+      // When
+      const fixture = render()
+      // Then
+      expect(fixture.internals).toBe(internals)
+    })
+
+    it("doesn't attach internals otherwise", () => {
+      // Given
+      const fixture = mount({ view: "<div></div>" })
+      // Then
+      expect(HTMLElement.prototype.attachInternals).not.toHaveBeenCalled()
+      expect(fixture.internals).toBeNull()
+    })
+
+    it("sets the form value from the designated property", () => {
+      // Given
+      const properties = { value: { default: 5, formValue: true } }
+      const [, render] = mountFormElement({ properties })
+      const fixture = render()
+      // When
+      fixture.value = undefined
+      // Then
+      expect(internals.setFormValue).toHaveBeenNthCalledWith(1, "5")
+      expect(internals.setFormValue).toHaveBeenNthCalledWith(2, null)
+    })
+
+    it("delegates validity helpers to internals", () => {
+      // Given
+      const [, render] = mountFormElement()
+      const fixture = render()
+      const flags = { valueMissing: true }
+      // When
+      fixture.setValidity(flags, "Required")
+      // Then
+      expect(internals.setValidity).toHaveBeenCalledWith(
+        flags,
+        "Required",
+        undefined
+      )
+      expect(fixture.checkValidity()).toBe(false)
+      expect(fixture.reportValidity()).toBe(false)
+    })
+
+    it("calls form lifecycle methods", () => {
+      // Given
+      const [TestElement, render] = mountFormElement()
+      TestElement.prototype[External.onFormReset] = jest.fn()
+      TestElement.prototype[External.onFormDisabled] = jest.fn()
+      TestElement.prototype[External.onFormStateRestore] = jest.fn()
+      const fixture = render()
+      // When
+      fixture.formResetCallback()
+      fixture.formDisabledCallback(true)
+      fixture.formStateRestoreCallback("foo", "restore")
+      // Then
+      expect(TestElement.prototype[External.onFormReset]).toHaveBeenCalled()
+      expect(
+        TestElement.prototype[External.onFormDisabled]
+      ).toHaveBeenCalledWith(true)
+      expect(
+        TestElement.prototype[External.onFormStateRestore]
+      ).toHaveBeenCalledWith("foo", "restore")
+    })
   })
 
   const lifecycleFixtures = [
@@ -548,6 +2639,76 @@ describe("BulbaElement", () => {
         expect(TestElement.prototype[External.onUpdate]).toHaveBeenCalled()
       })
 
+      it("passes changed properties to onUpdate, batched until the next render", async () => {
+        // Given
+        const properties = { first: { default: "a" }, second: {} }
+        const [TestElement, render] = mount({
+          wait: true,
+          properties,
+          view,
+        })
+        TestElement.prototype[External.onUpdate] = jest.fn()
+        const fixture = render()
+        window.requestAnimationFrame.mockImplementation((cb) => setTimeout(cb))
+        // When
+        fixture.first = "b"
+        fixture.first = "c"
+        fixture.second = true
+        await new Promise((done) => setTimeout(done))
+        // Then
+        expect(TestElement.prototype[External.onUpdate]).toHaveBeenCalledTimes(
+          1
+        )
+        expect(TestElement.prototype[External.onUpdate]).toHaveBeenCalledWith(
+          new Map([
+            ["first", "a"],
+            ["second", undefined],
+          ])
+        )
+      })
+
+      it("cancels the render if shouldUpdate returns false", () => {
+        // Given
+        const properties = { testProp: {} }
+        const [TestElement, render] = mount({
+          wait: true,
+          properties,
+          view,
+        })
+        TestElement.prototype[External.shouldUpdate] = jest.fn(
+          (changed) => !changed.has("testProp")
+        )
+        TestElement.prototype[External.onUpdate] = jest.fn()
+        const fixture = render()
+        // When
+        fixture.testProp = true
+        // Then
+        expect(
+          TestElement.prototype[External.shouldUpdate]
+        ).toHaveBeenCalledWith(new Map([["testProp", undefined]]))
+        expect(TestElement.prototype[External.onUpdate]).not.toHaveBeenCalled()
+        expect(fixture.count).toEqual(1)
+      })
+
+      it("calls willUpdate before render without requesting another render", () => {
+        // Given
+        const properties = { first: {}, derived: {} }
+        const [TestElement, render] = mount({
+          wait: true,
+          properties,
+          view,
+        })
+        TestElement.prototype[External.willUpdate] = function (changed) {
+          if (changed.has("first")) this.derived = `${this.first}!`
+        }
+        const fixture = render()
+        // When
+        fixture.first = "hello"
+        // Then
+        expect(fixture.derived).toEqual("hello!")
+        expect(fixture.count).toEqual(2)
+      })
+
       it("calls onUnmount", () => {
         // Given
         const [TestElement, render] = mount({ wait: true, view })
@@ -18,6 +18,8 @@ export function mount(options = {}) {
     attributes = {},
     properties = {},
     styles = "",
+    shadowRoot,
+    children,
     view,
   } = options
 
@@ -51,10 +53,26 @@ export function mount(options = {}) {
     }
   }
 
-  register(tagName, TestElement)
+  // When given server-rendered shadow root markup, the element is
+  // created and populated before it is defined, then upgraded in place.
+  if (typeof shadowRoot === "undefined") {
+    register(tagName, TestElement)
+  }
 
   const render = () => {
     const fixture = createElement(tagName, attributes)
+
+    if (typeof children === "string") {
+      fixture.innerHTML = children
+    }
+
+    if (typeof shadowRoot === "string") {
+      fixture.attachShadow({ mode: "open" }).innerHTML = shadowRoot
+      document.body.appendChild(fixture)
+      register(tagName, TestElement)
+      return fixture
+    }
+
     document.body.appendChild(fixture)
     return fixture
   }
@@ -1,4 +1,7 @@
+import { Renderer } from "@bulba/template"
+import { BulbaElement, registerLazy } from "../"
 import { register } from "../register"
+import { jest } from "@jest/globals"
 
 class RegisterTest extends HTMLElement {}
 const EXCEPTION_MESSAGE =
@@ -16,3 +19,157 @@ describe("register()", () => {
     )
   })
 })
+
+describe("registerLazy()", () => {
+  const createLazyElement = () =>
+    class LazyTest extends BulbaElement(Renderer) {
+      static get properties() {
+        return { label: { default: "default" } }
+      }
+
+      render() {
+        return `<p>${this.label}</p>`
+      }
+    }
+
+  afterEach(() => {
+    document.body.innerHTML = ""
+  })
+
+  it("defines the element when its tag is first added to the document", async () => {
+    // Given
+    const LazyTest = createLazyElement()
+    const loader = jest.fn(() => Promise.resolve({ default: LazyTest }))
+    const defined = registerLazy("lazy-test-document", loader)
+    const element = document.createElement("lazy-test-document")
+    element.label = "kept"
+    // Then
+    expect(loader).not.toHaveBeenCalled()
+    // When
+    document.body.appendChild(element)
+    await defined
+    await element.updateComplete
+    // Then
+    expect(loader).toHaveBeenCalledTimes(1)
+    expect(element).toBeInstanceOf(LazyTest)
+    expect(element.shadowRoot.innerHTML).toEqual("<p>kept</p>")
+  })
+
+  it("defines elements added to Bulba element shadow roots", async () => {
+    // Given
+    const LazyTest = createLazyElement()
+    const defined = registerLazy("lazy-test-shadow", () => LazyTest)
+    class LazyHost extends BulbaElement(Renderer) {
+      render() {
+        return "<lazy-test-shadow></lazy-test-shadow>"
+      }
+    }
+    register("lazy-test-host", LazyHost)
+    // When
+    const host = document.createElement("lazy-test-host")
+    document.body.appendChild(host)
+    await host.updateComplete
+    await defined
+    // Then
+    expect(host.shadowRoot.querySelector("lazy-test-shadow")).toBeInstanceOf(
+      LazyTest
+    )
+  })
+})
+
+describe("hot replacement", () => {
+  const createHotElement = (label) =>
+    class HotTest extends BulbaElement(Renderer) {
+      static get properties() {
+        return { count: { default: 0 } }
+      }
+
+      static get styles() {
+        return `p { color: ${label === "v1" ? "red" : "blue"}; }`
+      }
+
+      render() {
+        return `<p>${label}: ${this.count}</p>`
+      }
+    }
+
+  beforeEach(() => {
+    window.__BULBA_HMR__ = true
+  })
+
+  afterEach(() => {
+    delete window.__BULBA_HMR__
+    document.body.innerHTML = ""
+  })
+
+  it("updates live instances with the new class, keeping property values", async () => {
+    // Given
+    const HotTestV1 = createHotElement("v1")
+    HotTestV1.prototype.removed = () => {}
+    register("hot-test", HotTestV1)
+    const element = document.createElement("hot-test")
+    document.body.appendChild(element)
+    element.count = 5
+    await element.updateComplete
+    // When
+    register("hot-test", createHotElement("v2"))
+    await element.updateComplete
+    // Then
+    expect(customElements.get("hot-test")).toBe(HotTestV1)
+    expect(element.removed).toBeUndefined()
+    expect(element.shadowRoot.querySelector("p").textContent).toEqual("v2: 5")
+    expect(element.shadowRoot.querySelector("style").textContent).toEqual(
+      "p { color: blue; }"
+    )
+  })
+
+  it("calls replaced methods from declared listeners", async () => {
+    // Given
+    const clicks = []
+    const createListenerElement = (label) =>
+      class HotListenerTest extends BulbaElement(Renderer) {
+        static get listeners() {
+          return { "click button": "handleClick" }
+        }
+
+        handleClick() {
+          clicks.push(label)
+        }
+
+        render() {
+          return "<button></button>"
+        }
+      }
+    register("hot-test-listeners", createListenerElement("v1"))
+    const element = document.createElement("hot-test-listeners")
+    document.body.appendChild(element)
+    await element.updateComplete
+    // When
+    register("hot-test-listeners", createListenerElement("v2"))
+    await element.updateComplete
+    element.shadowRoot.querySelector("button").click()
+    // Then
+    expect(clicks).toEqual(["v2"])
+  })
+
+  it("updates instances in Bulba element shadow roots", async () => {
+    // Given
+    register("hot-test-nested", createHotElement("v1"))
+    class HotHost extends BulbaElement(Renderer) {
+      render() {
+        return "<hot-test-nested></hot-test-nested>"
+      }
+    }
+    register("hot-test-host", HotHost)
+    const host = document.createElement("hot-test-host")
+    document.body.appendChild(host)
+    await host.updateComplete
+    const element = host.shadowRoot.querySelector("hot-test-nested")
+    await element.updateComplete
+    // When
+    register("hot-test-nested", createHotElement("v2"))
+    await element.updateComplete
+    // Then
+    expect(element.shadowRoot.querySelector("p").textContent).toEqual("v2: 0")
+  })
+})
@@ -0,0 +1,122 @@
+import { getComposedParent, Internal, External } from "@bulba/utils"
+
+// Connected consumers' subscriptions, by context key
+const subscriptions = new Map()
+
+/**
+ * Returns the closest ancestor, across shadow roots, providing the key.
+ * @param {HTMLElement} consumer
+ * @param {*} key
+ * @returns {HTMLElement|null}
+ */
+function findProvider(consumer, key) {
+  let node = getComposedParent(consumer)
+
+  while (node) {
+    if (node[Internal.contexts] && node[Internal.contexts].has(key)) {
+      return node
+    }
+
+    node = getComposedParent(node)
+  }
+
+  return null
+}
+
+/**
+ * Points the subscription at its closest provider.
+ * @param {{key, consumer, provider}} subscription
+ * @returns {boolean} whether the provider changed
+ */
+function resolveProvider(subscription) {
+  const provider = findProvider(subscription.consumer, subscription.key)
+  if (provider === subscription.provider) return false
+
+  subscription.provider = provider
+  return true
+}
+
+function connectSubscription(subscription) {
+  const { key } = subscription
+
+  if (!subscriptions.has(key)) subscriptions.set(key, new Set())
+  subscriptions.get(key).add(subscription)
+  resolveProvider(subscription)
+}
+
+function disconnectSubscription(subscription) {
+  const { key } = subscription
+  const keySubscriptions = subscriptions.get(key)
+
+  if (keySubscriptions) {
+    keySubscriptions.delete(subscription)
+    if (!keySubscriptions.size) subscriptions.delete(key)
+  }
+
+  subscription.provider = null
+}
+
+/**
+ * Provides a value to descendant consumers of the key. Providing a key for
+ * the first time claims consumers which connected earlier; changing the
+ * value re-renders the provider's consumers.
+ * @param {HTMLElement} provider
+ * @param {*} key
+ * @param {*} value
+ */
+export function provideContext(provider, key, value) {
+  const contexts = provider[Internal.contexts]
+  const isNewKey = !contexts.has(key)
+
+  if (!isNewKey && contexts.get(key) === value) return
+
+  contexts.set(key, value)
+
+  const keySubscriptions = subscriptions.get(key)
+  if (!keySubscriptions) return
+
+  keySubscriptions.forEach((subscription) => {
+    const hasNewProvider = isNewKey && resolveProvider(subscription)
+
+    if (hasNewProvider || subscription.provider === provider) {
+      subscription.consumer[External.requestRender]()
+    }
+  })
+}
+
+/**
+ * Returns the value provided for the key by the consumer's closest
+ * provider, subscribing to changes the first time it's called.
+ * @param {HTMLElement} consumer
+ * @param {*} key
+ * @returns {*}
+ */
+export function consumeContext(consumer, key) {
+  const consumerSubscriptions = consumer[Internal.contextSubscriptions]
+  let subscription = consumerSubscriptions.get(key)
+
+  if (!subscription) {
+    subscription = { key, consumer, provider: null }
+    consumerSubscriptions.set(key, subscription)
+    if (consumer.isConnected) connectSubscription(subscription)
+  }
+
+  const { provider } = subscription
+  return provider ? provider[Internal.contexts].get(key) : undefined
+}
+
+/**
+ * Subscribes the consumer's contexts when it connects.
+ * @param {HTMLElement} consumer
+ */
+export function connectContexts(consumer) {
+  consumer[Internal.contextSubscriptions].forEach(connectSubscription)
+}
+
+/**
+ * Tears down the consumer's subscriptions when it disconnects.
+ * @param {HTMLElement} consumer
+ */
+export function disconnectContexts(consumer) {
+  consumer[Internal.contextSubscriptions].forEach(disconnectSubscription)
+}
@@ -0,0 +1,157 @@
+import { isBrowser, log, External } from "@bulba/utils"
+
+const HOOK_NAME = "__BULBA_DEVTOOLS__"
+
+export const DevtoolsEvents = {
+  mount: "mount",
+  update: "update",
+  unmount: "unmount",
+}
+
+/**
+ * Creates the devtools hook. It only uses elements' public API, so it's
+ * shared by every copy of the library on the page.
+ * @returns {Object}
+ */
+function createDevtoolsHook() {
+  const elements = new Set()
+  const renderCounts = new WeakMap()
+  const listeners = new Map()
+
+  function describe(element) {
+    const properties = {}
+    const attributes = {}
+
+    for (let propName in element.constructor[External.staticProperties]) {
+      properties[propName] = element[propName]
+    }
+
+    element.constructor.observedAttributes.forEach((attrName) => {
+      if (element.hasAttribute(attrName)) {
+        attributes[attrName] = element.getAttribute(attrName)
+      }
+    })
+
+    return {
+      tag: element.localName,
+      id: element[External.bulbaIdProperty],
+      properties,
+      attributes,
+      renderCount: renderCounts.get(element) || 0,
+      element,
+    }
+  }
+
+  function findElement(id) {
+    for (let element of elements) {
+      if (element[External.bulbaIdProperty] === id) return element
+    }
+  }
+
+  return {
+    /**
+     * Records a mount, update or unmount of the element and notifies
+     * listeners of the event.
+     * @param {string} type
+     * @param {HTMLElement} element
+     */
+    report(type, element) {
+      if (type === DevtoolsEvents.unmount) {
+        if (!elements.delete(element)) return
+      } else {
+        elements.add(element)
+        renderCounts.set(element, (renderCounts.get(element) || 0) + 1)
+      }
+
+      if (!listeners.has(type)) return
+
+      const instance = describe(element)
+      listeners.get(type).forEach((listener) => {
+        try {
+          listener(instance)
+        } catch (error) {
+          log(`Devtools '${type}' listener threw: ${error}`, "error")
+        }
+      })
+    },
+
+    /**
+     * Returns the connected elements' tag, id, property values, reflected
+     * attributes and render count.
+     * @returns {Object[]}
+     */
+    getInstances() {
+      return Array.from(elements, describe)
+    },
+
+    /**
+     * Returns a connected element's details by its `bulba-id`.
+     * @param {string} id
+     * @returns {Object|undefined}
+     */
+    getInstance(id) {
+      const element = findElement(id)
+      return element && describe(element)
+    },
+
+    /**
+     * Sets a property of a connected element, which schedules a render.
+     * @param {string} id - the element's `bulba-id`
+     * @param {string} propName
+     * @param {*} value
+     * @returns {Promise<void>|undefined} the element's `updateComplete` promise
+     */
+    setProperty(id, propName, value) {
+      const element = findElement(id)
+
+      if (!element) {
+        log(`No connected element with id '${id}'.`)
+        return
+      }
+
+      const properties = element.constructor[External.staticProperties] || {}
+
+      if (!(propName in properties)) {
+        log(
+          `Property '${propName}' isn't declared in element: '${element.constructor.name}'.`
+        )
+        return
+      }
+
+      element[propName] = value
+      return element[External.updateComplete]
+    },
+
+    /**
+     * Listens to `mount`, `update` or `unmount` events. Listeners receive
+     * the element's details.
+     * @param {string} type
+     * @param {Function} listener
+     * @returns {Function} removes the listener
+     */
+    on(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, new Set())
+      listeners.get(type).add(listener)
+
+      return () => listeners.get(type).delete(listener)
+    },
+  }
+}
+
+/**
+ * Exposes the devtools hook on the window, unless already installed.
+ */
+export function installDevtoolsHook() {
+  if (!isBrowser() || window[HOOK_NAME]) return
+  window[HOOK_NAME] = createDevtoolsHook()
+}
+
+/**
+ * Reports an element's mount, update or unmount to the devtools hook.
+ * @param {string} type
+ * @param {HTMLElement} element
+ */
+export function notifyDevtools(type, element) {
+  if (!isBrowser() || !window[HOOK_NAME]) return
+  window[HOOK_NAME].report(type, element)
+}
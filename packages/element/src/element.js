@@ -1,19 +1,48 @@
 import {
   isEmptyObject,
-  isString,
   isFunction,
-  camelToKebab,
   createUUID,
-  kebabToCamel,
   isUndefined,
   Internal,
   External,
   Attributes,
   AttributeValues,
+  flattenStyles,
+  getCSSText,
+  log,
 } from "@bulba/utils"
 import { setRenderer } from "./renderer"
 import { createScheduler } from "./scheduler"
-import { upgradeProperty } from "./properties"
+import {
+  upgradeProperty,
+  getConverter,
+  getAttributeName,
+  getPropertyName,
+} from "./properties"
+import {
+  supportsAdoptedStyleSheets,
+  getStyleSheets,
+  adoptStyleSheets,
+} from "./styles"
+import { toFormValue, getFormInternals } from "./forms"
+import { findErrorBoundary, notifyErrorHandler } from "./errors"
+import { getEventOptions, validateEvent } from "./events"
+import { addListeners, removeListeners } from "./listeners"
+import { createStoreController } from "./stores"
+import { createSignalTracker } from "./signals"
+import { getSlottedNodes, addSlotListener } from "./slots"
+import { observeLazyRoot } from "./register-lazy"
+import {
+  supportsScopedRegistries,
+  getScopedRegistry,
+  getTagNameMap,
+} from "./scoped-elements"
+import {
+  provideContext,
+  consumeContext,
+  connectContexts,
+  disconnectContexts,
+} from "./context"
 
 const SHADOW_ROOT_MODE = "open"
 
@@ -26,26 +55,98 @@ export function BulbaElement(renderer) {
       this[Internal.schedule] = createScheduler()
       this[Internal.renderer] = setRenderer(renderer)
 
-      this.attachShadow({ mode: SHADOW_ROOT_MODE })
+      // Form-associated elements participate in forms via ElementInternals.
+      // Elements with a closed shadow root need them to find a declarative
+      // shadow root, which isn't exposed as `shadowRoot`.
+      const { mode } = this.constructor[External.staticShadowRootOptions] || {}
+      this[Internal.internals] =
+        (this.constructor[External.staticFormAssociated] ||
+          mode === "closed") &&
+        isFunction(this.attachInternals)
+          ? this.attachInternals()
+          : null
+
+      // Light DOM elements render into the host, hydrating its children
+      // if they're marked as server-rendered. Otherwise, reuse a declarative
+      // shadow root rendered ahead of time, if present, and let the
+      // renderer hydrate it on first patch. Closed declarative shadow
+      // roots are only reachable through ElementInternals.
+      const existingRoot =
+        this.shadowRoot ||
+        (this[Internal.internals] && this[Internal.internals].shadowRoot)
+
+      // Child elements declared in `static elements` are defined in a
+      // registry scoped to the shadow root where supported. Otherwise
+      // they're defined globally, with a suffixed tag if already taken.
+      const hasElements = !isEmptyObject(
+        this.constructor[External.staticElements] || {}
+      )
+      const isScoped =
+        hasElements &&
+        !this.constructor[External.staticLightDOM] &&
+        supportsScopedRegistries()
+
+      this[Internal.registry] = isScoped
+        ? getScopedRegistry(this.constructor)
+        : null
+      this[Internal.tagNames] =
+        hasElements && !isScoped ? getTagNameMap(this.constructor) : {}
+
+      if (this.constructor[External.staticLightDOM]) {
+        this[Internal.shouldHydrate] = false
+        this[Internal.renderRoot] = this
+      } else {
+        this[Internal.shouldHydrate] = Boolean(existingRoot)
+        this[Internal.renderRoot] =
+          existingRoot ||
+          this.attachShadow({
+            mode: SHADOW_ROOT_MODE,
+            ...this.constructor[External.staticShadowRootOptions],
+            ...(isScoped && { customElementRegistry: this[Internal.registry] }),
+          })
+      }
 
       this[Internal.patch] = this[Internal.patch].bind(this)
       this[Internal.isFirstRender] = true
       this[Internal.vnode] = null
+      this[Internal.refs] = {}
       this[Internal.bulbaId] = createUUID()
 
       this[Internal.reflectMap] = {}
+      this[Internal.reflectingProperty] = null
+      this[Internal.computedProperties] = {}
+      this[Internal.changedProperties] = new Map()
+      this[Internal.isUpdating] = false
+      this[Internal.hasPendingRender] = false
+      this[Internal.updatePromise] = null
+      this[Internal.resolveUpdate] = null
+      this[Internal.error] = null
+      this[Internal.listeners] = []
+      this[Internal.controllers] = []
+      this[Internal.storeControllers] = new Map()
+      this[Internal.contexts] = new Map()
+      this[Internal.contextSubscriptions] = new Map()
+      this[Internal.signalTracker] = createSignalTracker(() =>
+        this[External.requestRender]()
+      )
+      this[Internal.styleTag] = null
+      this[Internal.styleSheets] = []
     }
 
-    // Retrieve defined properties from the constructor.
+    // Retrieve attributes synced with defined properties, and any extra
+    // attributes to observe, from the constructor.
     static get observedAttributes() {
       const properties = this[External.staticProperties]
+      const attributes = [...(this[External.staticAttributes] || [])]
 
-      if (isEmptyObject(properties)) return []
+      if (isEmptyObject(properties)) return attributes
 
-      let attributes = []
       for (let propName in properties) {
-        if (!properties[propName].reflected) continue
-        attributes.push(camelToKebab(propName))
+        // Computed properties only reflect, so their attribute isn't observed
+        if (isFunction(properties[propName].computed)) continue
+
+        const attrName = getAttributeName(propName, properties[propName])
+        if (attrName) attributes.push(attrName)
       }
       return attributes
     }
@@ -64,12 +165,33 @@ export function BulbaElement(renderer) {
           newValue
         )
 
+        // Extra observed attributes have no property, so just re-render.
+        const attributes = this.constructor[External.staticAttributes] || []
+        if (attributes.indexOf(name) > -1 && this.isConnected) {
+          this[External.requestRender]()
+        }
+
         // If the attribute was created via upgraded property,
-        // set the value if it's new
-        const propName = kebabToCamel(name)
+        // set the converted value if it's new
+        const propName = getPropertyName(this.constructor, name)
         const privateName = this[Internal.reflectMap][propName]
-        if (!isUndefined(privateName) && this[propName] !== newValue) {
-          this[propName] = newValue
+        if (
+          isUndefined(privateName) ||
+          this[Internal.reflectingProperty] === propName
+        ) {
+          return
+        }
+
+        const configuration =
+          this.constructor[External.staticProperties][propName]
+        const value = getConverter(configuration).fromAttribute(
+          newValue,
+          configuration.type
+        )
+
+        // Values which can't be converted are ignored
+        if (!isUndefined(value) && this[propName] !== value) {
+          this[propName] = value
         }
       }
     }
@@ -81,6 +203,14 @@ export function BulbaElement(renderer) {
       if (!this.isConnected) return
 
       this[Internal.upgrade]()
+      addListeners(this)
+      addSlotListener(this)
+      // Watch the shadow root for elements registered lazily
+      if (this[Internal.renderRoot] !== this) {
+        observeLazyRoot(this[Internal.renderRoot])
+      }
+      connectContexts(this)
+      this[Internal.runControllers](External.hostConnected)
       this[Internal.runLifecycle](External.onConnect)
       this[Internal.renderStyles]()
       this[External.requestRender]()
@@ -90,6 +220,18 @@ export function BulbaElement(renderer) {
       this[Internal.destroy]()
     }
 
+    formResetCallback() {
+      this[Internal.runLifecycle](External.onFormReset)
+    }
+
+    formDisabledCallback(disabled) {
+      this[Internal.runLifecycle](External.onFormDisabled, disabled)
+    }
+
+    formStateRestoreCallback(state, mode) {
+      this[Internal.runLifecycle](External.onFormStateRestore, state, mode)
+    }
+
     // Public
 
     /**
@@ -101,26 +243,321 @@ export function BulbaElement(renderer) {
     }
 
     /**
-     * Requests a new render.
+     * Returns the node the element renders into: its shadow root, even if
+     * closed, or the element itself if rendering to light DOM.
+     * @returns {ShadowRoot|HTMLElement}
+     */
+    get [External.renderRootProperty]() {
+      return this[Internal.renderRoot]
+    }
+
+    /**
+     * Returns rendered nodes by their `ref` name.
+     * @returns {Object<string, HTMLElement>}
+     */
+    get [External.refsProperty]() {
+      return this[Internal.refs]
+    }
+
+    /**
+     * Returns the element's ElementInternals, if form-associated or
+     * rendering to a closed shadow root.
+     * @returns {ElementInternals|null}
+     */
+    get [External.internalsProperty]() {
+      return this[Internal.internals]
+    }
+
+    /**
+     * Sets the element's validity in its form. Call with no flags
+     * (or an empty object) to mark the element as valid.
+     * @param {ValidityStateFlags} flags
+     * @param {string} message
+     * @param {HTMLElement} anchor - element to focus when reported
+     */
+    [External.setValidity](flags = {}, message, anchor) {
+      const internals = getFormInternals(this)
+      if (!internals) return
+      internals.setValidity(flags, message, anchor)
+    }
+
+    /**
+     * Checks the element's validity without reporting it to the user.
+     * @returns {boolean}
+     */
+    [External.checkValidity]() {
+      const internals = getFormInternals(this)
+      if (!internals) return true
+      return internals.checkValidity()
+    }
+
+    /**
+     * Checks the element's validity and reports it to the user.
+     * @returns {boolean}
+     */
+    [External.reportValidity]() {
+      const internals = getFormInternals(this)
+      if (!internals) return true
+      return internals.reportValidity()
+    }
+
+    /**
+     * Resolves once the pending render (if any) has patched the DOM and
+     * run `onMount`/`onUpdate`. Stays pending while more renders are queued.
+     * @returns {Promise<void>}
+     */
+    get [External.updateComplete]() {
+      return this[Internal.updatePromise] || Promise.resolve()
+    }
+
+    /**
+     * Requests a new render. Changes made during `willUpdate` are part of
+     * the pending render, so they don't request another.
+     * @returns {Promise<void>} the element's `updateComplete` promise
      */
     [External.requestRender]() {
-      this[Internal.schedule](this[Internal.patch])
+      if (!this[Internal.updatePromise]) {
+        this[Internal.updatePromise] = new Promise((resolve) => {
+          this[Internal.resolveUpdate] = resolve
+        })
+      }
+
+      if (!this[Internal.isUpdating]) {
+        this[Internal.hasPendingRender] = true
+        this[Internal.schedule](this[Internal.patch])
+      }
+
+      return this[Internal.updatePromise]
+    }
+
+    /**
+     * Dispatches a custom event declared in `static events`, using its
+     * declared options. Events bubble and are composed by default.
+     * @param {string} name
+     * @param {*} detail
+     * @param {{bubbles, composed, cancelable}} options - overrides the declared options
+     * @returns {boolean} false if the event was cancelled
+     */
+    [External.emit](name, detail, options = {}) {
+      if (BUILD_ENV === "development") {
+        validateEvent(this.constructor, name, detail)
+      }
+
+      return this.dispatchEvent(
+        new CustomEvent(name, {
+          ...getEventOptions(this.constructor, name),
+          ...options,
+          detail,
+        })
+      )
+    }
+
+    /**
+     * Attaches a controller, which receives `hostConnected`,
+     * `hostDisconnected`, `hostUpdate` (before render) and `hostUpdated`
+     * (after onMount/onUpdate) callbacks, if defined.
+     * @param {Object} controller
+     */
+    [External.addController](controller) {
+      if (this[Internal.controllers].indexOf(controller) > -1) return
+
+      this[Internal.controllers].push(controller)
+
+      if (this.isConnected && isFunction(controller[External.hostConnected])) {
+        controller[External.hostConnected]()
+      }
+    }
+
+    /**
+     * Detaches a controller.
+     * @param {Object} controller
+     */
+    [External.removeController](controller) {
+      this[Internal.controllers] = this[Internal.controllers].filter(
+        (item) => item !== controller
+      )
+    }
+
+    /**
+     * Provides a value for the key to descendant elements, across shadow
+     * roots. Consumers re-render when the value changes.
+     * @param {*} key
+     * @param {*} value
+     */
+    [External.provide](key, value) {
+      provideContext(this, key, value)
+    }
+
+    /**
+     * Returns the value provided for the key by the closest ancestor, and
+     * re-renders when it changes. Subscriptions last until disconnected.
+     * @param {*} key
+     * @returns {*}
+     */
+    [External.consume](key) {
+      return consumeContext(this, key)
+    }
+
+    /**
+     * Binds the element to a store with `subscribe` and `getState` methods.
+     * Each selector's value is exposed as a read-only property, and the
+     * element re-renders when one changes. The subscription is removed
+     * while disconnected. Binding a bound store again (e.g. from `onConnect`)
+     * returns its controller, keeping the original selectors.
+     * @param {{subscribe: Function, getState: Function}} store
+     * @param {Object<string, Function>} selectors - maps property names to state selectors
+     * @returns {Object} the store's controller
+     */
+    [External.bindStore](store, selectors = {}) {
+      if (this[Internal.storeControllers].has(store)) {
+        return this[Internal.storeControllers].get(store)
+      }
+
+      const controller = createStoreController(this, store, selectors)
+      this[Internal.storeControllers].set(store, controller)
+
+      for (let key in selectors) {
+        if (key in this) {
+          if (BUILD_ENV === "development") {
+            log(
+              `Store selector '${key}' conflicts with an existing property in element: '${this.constructor.name}'.`
+            )
+          }
+          continue
+        }
+
+        Object.defineProperty(this, key, {
+          configurable: true,
+          enumerable: true,
+          get: () => controller.values[key],
+        })
+      }
+
+      this[External.addController](controller)
+      return controller
+    }
+
+    /**
+     * Returns the nodes assigned to the named slot, or the default slot.
+     * @param {string} name
+     * @returns {Node[]}
+     */
+    [External.slotted](name) {
+      return getSlottedNodes(this, name)
+    }
+
+    /**
+     * Re-applies static styles, e.g. if they've changed at runtime.
+     * Adopted stylesheets are shared, so every instance of the class
+     * receives the update.
+     */
+    [External.updateStyles]() {
+      this[Internal.renderStyles]()
     }
 
     // Private
 
     /**
-     * If the method is defined by the constructor, run it.
+     * If the method is defined by the constructor, run it. Errors are
+     * passed to the closest error boundary.
      * @param {string} methodName - name of the possible method
      * @param {arguments} args - args to pass along to the method, if any
      */
     [Internal.runLifecycle](methodName, ...args) {
-      if (isFunction(this[methodName])) {
+      if (!isFunction(this[methodName])) return
+
+      try {
         this[methodName](...args)
+      } catch (error) {
+        this[Internal.handleError](error, methodName)
       }
     }
 
+    /**
+     * Runs the callback on each controller defining it. Errors are passed
+     * to the closest error boundary.
+     * @param {string} methodName - name of the controller callback
+     */
+    [Internal.runControllers](methodName) {
+      this[Internal.controllers].forEach((controller) => {
+        if (!isFunction(controller[methodName])) return
+
+        try {
+          controller[methodName]()
+        } catch (error) {
+          this[Internal.handleError](error, methodName)
+        }
+      })
+    }
+
+    /**
+     * Reports an error to the global error handler, then passes it to the
+     * closest element (including this one) defining `onError` or
+     * `renderError`. If there isn't one, the error is rethrown.
+     * @param {*} error
+     * @param {string} phase - name of the method which threw
+     */
+    [Internal.handleError](error, phase) {
+      notifyErrorHandler(error, phase, this)
+
+      const boundary = findErrorBoundary(this)
+
+      if (!boundary) throw error
+
+      boundary[Internal.captureError](error, phase, this)
+    }
+
+    /**
+     * Handles an error as a boundary: runs `onError`, then queues the
+     * `renderError` fallback view, if defined. A failed render of the
+     * element itself is re-patched with the fallback right away.
+     * @param {*} error
+     * @param {string} phase - name of the method which threw
+     * @param {HTMLElement} origin - the element which threw
+     */
+    [Internal.captureError](error, phase, origin) {
+      if (isFunction(this[External.onError])) {
+        this[External.onError](error, phase, origin)
+      }
+
+      if (
+        !isFunction(this[External.renderError]) ||
+        phase === External.renderError
+      ) {
+        return
+      }
+
+      this[Internal.error] = error
+
+      if (this !== origin || phase !== External.render) {
+        this[External.requestRender]()
+      }
+    }
+
+    /**
+     * Returns the view for the renderer: the `renderError` fallback if an
+     * error was captured since the last render, otherwise `render`. Signals
+     * read while rendering request a new render when they change.
+     */
+    [Internal.renderView]() {
+      return this[Internal.signalTracker].track(() =>
+        this[Internal.error] === null
+          ? this[External.render]()
+          : this[External.renderError](this[Internal.error])
+      )
+    }
+
     [Internal.upgrade]() {
+      // Light DOM is only hydrated if marked as server-rendered. Otherwise,
+      // its children are the page author's and kept alongside the view.
+      if (
+        this[Internal.renderRoot] === this &&
+        this.hasAttribute(Attributes.serverRendered)
+      ) {
+        this[Internal.shouldHydrate] = true
+        this.removeAttribute(Attributes.serverRendered)
+      }
+
       // Set element id prop as an attribute
       this.setAttribute(
         External.bulbaIdAttribute,
@@ -148,13 +585,38 @@ export function BulbaElement(renderer) {
       for (let propName in properties) {
         upgradeProperty(this, propName, properties[propName])
       }
+
+      // Reflect computed properties once their dependencies are upgraded
+      const computedProperties = this[Internal.computedProperties]
+      for (let propName in computedProperties) {
+        computedProperties[propName].reflect()
+      }
     }
 
     /**
-     * Called during disconnectedCallback. Clean up the vnode
-     * and remove remaining nodes in the shadowRoot.
+     * Submits the value of the property marked with `formValue` to the form.
+     * @param {*} value
+     */
+    [Internal.setFormValue](value) {
+      const internals = getFormInternals(this)
+      if (!internals) return
+      internals.setFormValue(toFormValue(value))
+    }
+
+    /**
+     * Called during disconnectedCallback. Remove declared listeners,
+     * context subscriptions and signal tracking (including computed
+     * properties'), notify controllers, clean up the vnode and remove
+     * remaining nodes in the render root.
      */
     [Internal.destroy]() {
+      removeListeners(this)
+      disconnectContexts(this)
+      this[Internal.signalTracker].dispose()
+      for (let propName in this[Internal.computedProperties]) {
+        this[Internal.computedProperties][propName].dispose()
+      }
+      this[Internal.runControllers](External.hostDisconnected)
       this[Internal.renderer].destroy(this)
     }
 
@@ -163,21 +625,71 @@ export function BulbaElement(renderer) {
      * the DOM with the new render state
      */
     [Internal.patch]() {
-      this[Internal.renderer].patch(this)
+      this[Internal.hasPendingRender] = false
+
+      try {
+        this[Internal.renderer].patch(this)
+      } finally {
+        this[Internal.settleUpdate]()
+      }
+    }
+
+    /**
+     * Resolves `updateComplete`, unless a render was requested from
+     * onMount/onUpdate, which keeps the promise pending.
+     */
+    [Internal.settleUpdate]() {
+      if (this[Internal.hasPendingRender]) return
+
+      const resolve = this[Internal.resolveUpdate]
+      this[Internal.updatePromise] = null
+      this[Internal.resolveUpdate] = null
+      if (resolve) resolve()
     }
 
     /**
-     * Creates the style tag and appends styles as detected in the constructor.
+     * Applies styles as detected in the constructor. Styles can be strings,
+     * `css` results, stylesheets, or (nested) arrays of them. They're compiled
+     * once per class and adopted by the shadow root where supported,
+     * otherwise (or if rendering to light DOM) they're rendered to a style tag.
      */
     [Internal.renderStyles]() {
-      const styles = this.constructor[External.staticStyles]
+      const styles = flattenStyles(this.constructor[External.staticStyles])
+
+      if (!styles.length) return
+
+      const root = this[Internal.renderRoot]
+
+      // If hydrating, the server-rendered style tag is reused or replaced.
+      const serverStyleTag =
+        this[Internal.shouldHydrate] &&
+        Array.prototype.find.call(
+          root.childNodes,
+          (node) => node.tagName === "STYLE"
+        )
+
+      if (supportsAdoptedStyleSheets() && root !== this) {
+        const sheets = getStyleSheets(this.constructor, styles)
+
+        if (serverStyleTag) root.removeChild(serverStyleTag)
+        adoptStyleSheets(root, sheets, this[Internal.styleSheets])
+        this[Internal.styleSheets] = sheets
+        return
+      }
+
+      let styleTag = this[Internal.styleTag]
+
+      if (serverStyleTag) {
+        styleTag = serverStyleTag
+      } else if (!styleTag || styleTag.parentNode !== root) {
+        styleTag = document.createElement("style")
+        styleTag.type = "text/css"
+        root.appendChild(styleTag)
+      }
 
-      if (!isString(styles)) return
+      this[Internal.styleTag] = styleTag
 
-      const styleTag = document.createElement("style")
-      styleTag.type = "text/css"
-      styleTag.textContent = styles
-      this.shadowRoot.appendChild(styleTag)
+      styleTag.textContent = getCSSText(styles)
     }
   }
 }
@@ -0,0 +1,47 @@
+import { isFunction, getComposedParent, Internal, External } from "@bulba/utils"
+
+let errorHandler = null
+
+/**
+ * Sets a global handler called with every error thrown while rendering or
+ * running lifecycle methods, whether or not an element handles it.
+ * Pass `null` to remove it.
+ * @param {Function|null} handler - called with (error, phase, element)
+ */
+export function setErrorHandler(handler) {
+  errorHandler = isFunction(handler) ? handler : null
+}
+
+/**
+ * Calls the global error handler, if set.
+ * @param {*} error
+ * @param {string} phase - name of the method which threw
+ * @param {HTMLElement} element - the element which threw
+ */
+export function notifyErrorHandler(error, phase, element) {
+  if (errorHandler) errorHandler(error, phase, element)
+}
+
+/**
+ * Returns the closest BulbaElement, starting with the element itself,
+ * which defines `onError` or `renderError`.
+ * @param {HTMLElement} element
+ * @returns {HTMLElement|null}
+ */
+export function findErrorBoundary(element) {
+  let node = element
+
+  while (node) {
+    if (
+      isFunction(node[Internal.captureError]) &&
+      (isFunction(node[External.onError]) ||
+        isFunction(node[External.renderError]))
+    ) {
+      return node
+    }
+
+    node = getComposedParent(node)
+  }
+
+  return null
+}
@@ -0,0 +1,93 @@
+import {
+  log,
+  getTypeTag,
+  isString,
+  isPlainObject,
+  isUndefined,
+  External,
+} from "@bulba/utils"
+
+// Events leave the shadow root and bubble by default, unlike CustomEvent.
+const DEFAULT_EVENT_OPTIONS = {
+  bubbles: true,
+  composed: true,
+  cancelable: false,
+}
+
+/**
+ * Returns the element class's declared events with default options applied,
+ * e.g. for generating documentation.
+ * @param {HTMLElement} Cls - the element class
+ * @returns {Object<string, {bubbles, composed, cancelable, detail}>}
+ */
+export function getEventDeclarations(Cls) {
+  const events = Cls[External.staticEvents] || {}
+  const declarations = {}
+
+  for (let name in events) {
+    declarations[name] = { ...DEFAULT_EVENT_OPTIONS, ...events[name] }
+  }
+
+  return declarations
+}
+
+/**
+ * Returns the options to dispatch an event with. Undeclared events get the
+ * default options.
+ * @param {HTMLElement} Cls - the element class
+ * @param {string} name
+ * @returns {{bubbles, composed, cancelable}}
+ */
+export function getEventOptions(Cls, name) {
+  const declaration = getEventDeclarations(Cls)[name] || DEFAULT_EVENT_OPTIONS
+  const { bubbles, composed, cancelable } = declaration
+  return { bubbles, composed, cancelable }
+}
+
+/**
+ * Checks that a detail value matches a declared type.
+ * @param {string} label
+ * @param {*} value
+ * @param {string} type
+ */
+function validateDetailType(label, value, type) {
+  const evaluatedType = getTypeTag(value)
+  if (evaluatedType !== type) {
+    log(`${label} is type '${evaluatedType}', expected '${type}'.`)
+  }
+}
+
+/**
+ * Checks that an event is declared and its detail matches the declared
+ * shape in development. The shape is either a type, or an object mapping
+ * detail keys to types.
+ * @param {HTMLElement} Cls - the element class
+ * @param {string} name
+ * @param {*} detail
+ */
+export function validateEvent(Cls, name, detail) {
+  const declaration = getEventDeclarations(Cls)[name]
+
+  if (!declaration) {
+    log(`Event '${name}' is not declared in element: '${Cls.name}'.`)
+    return
+  }
+
+  const shape = declaration.detail
+
+  if (isUndefined(shape)) return
+
+  if (isString(shape)) {
+    validateDetailType(`Event '${name}' detail`, detail, shape)
+  } else if (!isPlainObject(detail)) {
+    validateDetailType(`Event '${name}' detail`, detail, "object")
+  } else {
+    for (let key in shape) {
+      validateDetailType(
+        `Event '${name}' detail '${key}'`,
+        detail[key],
+        shape[key]
+      )
+    }
+  }
+}
@@ -0,0 +1,32 @@
+import { isString, isUndefined, Internal, External } from "@bulba/utils"
+
+/**
+ * Returns the element's ElementInternals if it's form-associated. Form
+ * methods of other elements' internals aren't supported.
+ * @param {HTMLElement} element
+ * @returns {ElementInternals|null}
+ */
+export const getFormInternals = (element) =>
+  element.constructor[External.staticFormAssociated]
+    ? element[Internal.internals]
+    : null
+
+/**
+ * Converts a property value to one accepted by
+ * `ElementInternals.setFormValue`.
+ * @param {*} value
+ * @returns {string|File|FormData|null}
+ */
+export function toFormValue(value) {
+  if (isUndefined(value) || value === null) return null
+  if (isString(value)) return value
+
+  if (
+    (typeof FormData !== "undefined" && value instanceof FormData) ||
+    (typeof File !== "undefined" && value instanceof File)
+  ) {
+    return value
+  }
+
+  return String(value)
+}
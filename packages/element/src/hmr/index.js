@@ -0,0 +1,78 @@
+import { isBrowser, External } from "@bulba/utils"
+
+// Set on the window by the preview dev server's hot replacement client.
+const HMR_FLAG = "__BULBA_HMR__"
+
+const CLASS_KEYS = ["length", "name", "prototype"]
+const PROTOTYPE_KEYS = ["constructor"]
+
+/**
+ * Checks if classes registered again should replace the defined ones.
+ * @returns {boolean}
+ */
+export function isHotReplacementEnabled() {
+  return isBrowser() && window[HMR_FLAG] === true
+}
+
+/**
+ * Replaces the target's own string-keyed members with the source's.
+ * @param {Object} target
+ * @param {Object} source
+ * @param {string[]} ignoredKeys
+ */
+function replaceMembers(target, source, ignoredKeys) {
+  Object.getOwnPropertyNames(target).forEach((key) => {
+    if (ignoredKeys.indexOf(key) > -1) return
+    if (!Object.prototype.hasOwnProperty.call(source, key)) delete target[key]
+  })
+
+  Object.getOwnPropertyNames(source).forEach((key) => {
+    if (ignoredKeys.indexOf(key) > -1) return
+    Object.defineProperty(
+      target,
+      key,
+      Object.getOwnPropertyDescriptor(source, key)
+    )
+  })
+}
+
+/**
+ * Finds connected instances of the class in the root, including those in
+ * the render roots of Bulba elements, even if closed.
+ * @param {Function} Cls
+ * @param {Document|ShadowRoot} root
+ * @param {HTMLElement[]} instances
+ * @returns {HTMLElement[]}
+ */
+function findInstances(Cls, root, instances = []) {
+  root.querySelectorAll(`[${External.bulbaIdAttribute}]`).forEach((element) => {
+    if (element instanceof Cls) instances.push(element)
+
+    const renderRoot = element[External.renderRootProperty]
+    if (renderRoot && renderRoot !== element) {
+      findInstances(Cls, renderRoot, instances)
+    }
+  })
+
+  return instances
+}
+
+/**
+ * Patches a defined element class with the members of its new version, then
+ * re-applies styles and re-renders live instances. Upgraded property values
+ * are kept, since they live on the instances, and declared listeners call
+ * the replaced methods. Custom elements can't be redefined, so changes to
+ * observed attributes, new properties, listener declarations and class
+ * fields apply after a reload.
+ * @param {Function} DefinedClass
+ * @param {Function} NextClass
+ */
+export function hotReplace(DefinedClass, NextClass) {
+  replaceMembers(DefinedClass.prototype, NextClass.prototype, PROTOTYPE_KEYS)
+  replaceMembers(DefinedClass, NextClass, CLASS_KEYS)
+
+  findInstances(DefinedClass, document).forEach((instance) => {
+    instance[External.updateStyles]()
+    instance[External.requestRender]()
+  })
+}
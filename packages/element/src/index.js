@@ -1,6 +1,16 @@
 import { createDirectionObserver } from "./observers"
+import { installDevtoolsHook } from "./devtools"
 createDirectionObserver()
 
+if (BUILD_ENV === "development") {
+  installDevtoolsHook()
+}
+
 export { BulbaElement } from "./element"
 export { register } from "./register"
+export { registerLazy } from "./register-lazy"
+export { setErrorHandler } from "./errors"
+export { getEventDeclarations } from "./events"
+export { Signal } from "./signals"
 export { validateType, validateRequired } from "./properties"
+export { css } from "@bulba/utils"
@@ -0,0 +1,124 @@
+import { log, isFunction, isString, Internal, External } from "@bulba/utils"
+
+// Delegated listeners for these events capture, since the events don't bubble.
+const NON_BUBBLING_EVENTS = ["focus", "blur", "mouseenter", "mouseleave"]
+
+const GLOBAL_TARGETS = ["window", "document"]
+
+/**
+ * Parses a listener key, e.g. `"click #submit"`, `"keydown"`, or
+ * `"window:resize"`.
+ * @param {string} key
+ * @returns {{target: string|null, type: string, selector: string|null}}
+ */
+export function parseListenerKey(key) {
+  const [event, ...selectorParts] = key.trim().split(/\s+/)
+  const separatorIdx = event.indexOf(":")
+  const target = event.slice(0, Math.max(separatorIdx, 0))
+  const isGlobal = GLOBAL_TARGETS.indexOf(target) > -1
+
+  return {
+    target: isGlobal ? target : null,
+    type: isGlobal ? event.slice(separatorIdx + 1) : event,
+    selector: selectorParts.length ? selectorParts.join(" ") : null,
+  }
+}
+
+/**
+ * Returns the listener's handler. Methods are looked up by name, so
+ * replaced methods are used. Unlike `isFunction`, this accepts async
+ * functions.
+ * @param {HTMLElement} element
+ * @param {string|Function} method
+ * @returns {Function|null}
+ */
+function getHandler(element, method) {
+  const handler = isString(method) ? element[method] : method
+  return typeof handler === "function" ? handler : null
+}
+
+/**
+ * Returns the closest node matching the selector from the event target,
+ * within the render root.
+ * @param {Event} event
+ * @param {string} selector
+ * @param {ShadowRoot|HTMLElement} root
+ * @returns {HTMLElement|null}
+ */
+function getDelegateTarget(event, selector, root) {
+  const target = event.target
+  if (!target || !isFunction(target.closest)) return null
+
+  const match = target.closest(selector)
+  return match && match !== root && root.contains(match) ? match : null
+}
+
+/**
+ * Adds the listeners declared in `static listeners`. Listeners with a
+ * selector are delegated from the render root, so they survive re-renders.
+ * Methods are called with the event and, if delegated, the matched node.
+ * Errors, including rejections of async methods, go to the closest error
+ * boundary.
+ * @param {HTMLElement} element
+ */
+export function addListeners(element) {
+  const listeners = element.constructor[External.staticListeners]
+  const root = element[Internal.renderRoot]
+
+  for (let key in listeners) {
+    const method = listeners[key]
+
+    // The listener is added regardless, in case the method is added later.
+    if (BUILD_ENV === "development" && !getHandler(element, method)) {
+      log(
+        `Listener '${key}' has no method '${method}' in element: '${element.constructor.name}'.`
+      )
+    }
+
+    const { target, type, selector } = parseListenerKey(key)
+    const phase = isString(method) ? method : key
+    const options = {
+      capture: Boolean(selector) && NON_BUBBLING_EVENTS.indexOf(type) > -1,
+    }
+
+    const listener = (event) => {
+      const delegateTarget =
+        selector && getDelegateTarget(event, selector, root)
+      if (selector && !delegateTarget) return
+
+      const handler = getHandler(element, method)
+      if (!handler) return
+
+      const onError = (error) => element[Internal.handleError](error, phase)
+
+      try {
+        const result = handler.call(element, event, delegateTarget || undefined)
+        if (result && isFunction(result.then)) result.then(null, onError)
+      } catch (error) {
+        onError(error)
+      }
+    }
+
+    let eventTarget = element
+    if (target) {
+      eventTarget = window[target]
+    } else if (selector) {
+      eventTarget = root
+    }
+
+    eventTarget.addEventListener(type, listener, options)
+    element[Internal.listeners].push([eventTarget, type, listener, options])
+  }
+}
+
+/**
+ * Removes listeners added with `addListeners`.
+ * @param {HTMLElement} element
+ */
+export function removeListeners(element) {
+  element[Internal.listeners].forEach(
+    ([eventTarget, type, listener, options]) =>
+      eventTarget.removeEventListener(type, listener, options)
+  )
+  element[Internal.listeners] = []
+}
@@ -1,5 +1,7 @@
+import { isBrowser } from "@bulba/utils"
+
 export function createDirectionObserver() {
-  if (!window || window.__BULBA_ELEMENT__DIR_OBSERVER__) return
+  if (!isBrowser() || window.__BULBA_ELEMENT__DIR_OBSERVER__) return
 
   window.__BULBA_ELEMENT__DIR_OBSERVER__ = true
 
@@ -0,0 +1,39 @@
+import { camelToKebab, isString, External } from "@bulba/utils"
+
+// Attribute to property name lookups, by class.
+const attributeMaps = new WeakMap()
+
+/**
+ * Returns the attribute a property syncs with, or null if it doesn't.
+ * Only reflected properties sync, using `attribute` as the name if given,
+ * or not at all if `attribute` is false.
+ * @param {string} propName
+ * @param {{ reflected: boolean, attribute: string|boolean }} configuration
+ * @returns {string|null}
+ */
+export function getAttributeName(propName, { reflected, attribute } = {}) {
+  if (!reflected || attribute === false) return null
+  return isString(attribute) ? attribute : camelToKebab(propName)
+}
+
+/**
+ * Returns the name of the property synced with an attribute, if any.
+ * @param {Function} Cls
+ * @param {string} attrName
+ * @returns {string|undefined}
+ */
+export function getPropertyName(Cls, attrName) {
+  if (!attributeMaps.has(Cls)) {
+    const properties = Cls[External.staticProperties] || {}
+    const attributeMap = {}
+
+    for (let propName in properties) {
+      const name = getAttributeName(propName, properties[propName])
+      if (name) attributeMap[name] = propName
+    }
+
+    attributeMaps.set(Cls, attributeMap)
+  }
+
+  return attributeMaps.get(Cls)[attrName]
+}
@@ -0,0 +1,128 @@
+import { log, Internal, External } from "@bulba/utils"
+import { createSignalTracker } from "../signals"
+import { validateType } from "./validate-type"
+import { getConverter } from "./converters"
+import { getAttributeName } from "./attributes"
+
+// The computed property being evaluated, if any, collecting its dependencies
+let activeComputation = null
+
+/**
+ * Records that an upgraded property was read while evaluating a computed
+ * property of the same element.
+ * @param {HTMLElement} Cls
+ * @param {string} propName
+ */
+export function trackDependency(Cls, propName) {
+  if (activeComputation && activeComputation.element === Cls) {
+    activeComputation.dependencies.add(propName)
+  }
+}
+
+/**
+ * Marks computed properties depending on the property as stale, along with
+ * their own dependents. Reflected computed properties are re-evaluated
+ * right away to update their attribute.
+ * @param {HTMLElement} Cls
+ * @param {string} propName
+ */
+export function invalidateDependents(Cls, propName) {
+  const computedProperties = Cls[Internal.computedProperties]
+
+  for (let name in computedProperties) {
+    const computation = computedProperties[name]
+
+    if (computation.isStale || !computation.dependencies.has(propName)) {
+      continue
+    }
+
+    computation.isStale = true
+    invalidateDependents(Cls, name)
+    computation.reflect()
+  }
+}
+
+/**
+ * Upgrades a property whose value is derived from other properties. The
+ * value is memoized until a property or signal read while computing it
+ * changes.
+ * @param {HTMLElement} Cls
+ * @param {string} propName
+ * @param {{ computed, type, reflected, attribute, converter }} configuration
+ */
+export function upgradeComputedProperty(Cls, propName, configuration) {
+  const { computed, type } = configuration
+  const { toAttribute } = getConverter(configuration)
+  const attrName = getAttributeName(propName, configuration)
+
+  const computation = {
+    value: undefined,
+    dependencies: new Set(),
+    isStale: true,
+    reflect() {
+      if (!attrName) return
+
+      const attrValue = toAttribute(Cls[propName], type)
+
+      Cls[Internal.reflectingProperty] = propName
+
+      if (attrValue === null) {
+        Cls.removeAttribute(attrName)
+      } else if (Cls.getAttribute(attrName) !== attrValue) {
+        Cls.setAttribute(attrName, attrValue)
+      }
+
+      Cls[Internal.reflectingProperty] = null
+    },
+    // Stops tracking signals; the value is re-computed on the next read
+    dispose() {
+      signalTracker.dispose()
+      computation.isStale = true
+    },
+  }
+
+  // Signals changing outside the element's properties invalidate it too
+  const signalTracker = createSignalTracker(() => {
+    if (computation.isStale) return
+
+    computation.isStale = true
+    invalidateDependents(Cls, propName)
+    computation.reflect()
+    Cls[External.requestRender]()
+  })
+
+  function evaluate() {
+    const parentComputation = activeComputation
+    activeComputation = { element: Cls, dependencies: new Set() }
+
+    try {
+      computation.value = signalTracker.track(() => computed(Cls))
+    } finally {
+      computation.dependencies = activeComputation.dependencies
+      activeComputation = parentComputation
+    }
+
+    computation.isStale = false
+
+    if (BUILD_ENV === "development") {
+      validateType(propName, computation.value, type)
+    }
+  }
+
+  Cls[Internal.computedProperties][propName] = computation
+
+  Object.defineProperty(Cls, propName, {
+    configurable: true,
+    enumerable: true,
+    get() {
+      trackDependency(Cls, propName)
+      if (computation.isStale) evaluate()
+      return computation.value
+    },
+    set() {
+      if (BUILD_ENV === "development") {
+        log(`Computed property '${propName}' is read-only.`)
+      }
+    },
+  })
+}
@@ -0,0 +1,82 @@
+import { log, isUndefined } from "@bulba/utils"
+
+const isEmpty = (value) => isUndefined(value) || value === null
+
+/**
+ * Parses a JSON attribute value. Malformed values are converted to
+ * `undefined`, so the property keeps its default or current value.
+ * @param {string|null} value
+ * @param {string} type
+ * @returns {*}
+ */
+function parseJSON(value, type) {
+  if (value === null) return null
+
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    if (BUILD_ENV === "development") {
+      log(`Attribute value '${value}' isn't valid JSON, expected '${type}'.`)
+    }
+  }
+}
+
+/**
+ * Parses a number attribute value. Non-numeric values are converted to
+ * `undefined`, so the property keeps its default or current value.
+ * @param {string|null} value
+ * @returns {number|null|undefined}
+ */
+function parseNumber(value) {
+  if (value === null) return null
+
+  const number = Number(value)
+
+  if (value.trim() === "" || Number.isNaN(number)) {
+    if (BUILD_ENV === "development") {
+      log(`Attribute value '${value}' isn't a number.`)
+    }
+    return
+  }
+
+  return number
+}
+
+const jsonConverter = {
+  fromAttribute: parseJSON,
+  toAttribute: (value) => (isEmpty(value) ? null : JSON.stringify(value)),
+}
+
+/**
+ * Converts between attribute strings and property values, by type.
+ * Returning `null` from `toAttribute` removes the attribute.
+ */
+export const Converters = {
+  string: {
+    fromAttribute: (value) => value,
+    toAttribute: (value) => (isUndefined(value) ? "" : String(value)),
+  },
+  number: {
+    fromAttribute: parseNumber,
+    toAttribute: (value) => (isEmpty(value) ? null : String(value)),
+  },
+  boolean: {
+    fromAttribute: (value) => value !== null,
+    toAttribute: (value) => (value ? "" : null),
+  },
+  object: jsonConverter,
+  array: jsonConverter,
+}
+
+/**
+ * Returns the converter for a property, with any custom `converter`
+ * methods used over the built-in ones for its type.
+ * @param {{ type: string, converter: { fromAttribute, toAttribute } }} configuration
+ * @returns {{ fromAttribute: Function, toAttribute: Function }}
+ */
+export function getConverter({ type, converter = {} } = {}) {
+  return {
+    ...(Converters[type] || Converters.string),
+    ...converter,
+  }
+}
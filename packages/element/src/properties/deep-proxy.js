@@ -0,0 +1,121 @@
+import { isPlainObject } from "@bulba/utils"
+
+// Proxies to the raw values they wrap
+const rawValues = new WeakMap()
+
+// Array methods comparing items by identity. Items are read wrapped, so
+// these search the raw array for the raw value instead.
+const identityMethods = ["includes", "indexOf", "lastIndexOf"].reduce(
+  (methods, name) => {
+    methods[name] = function (value, ...args) {
+      return Array.prototype[name].call(toRaw(this), toRaw(value), ...args)
+    }
+    return methods
+  },
+  {}
+)
+
+/**
+ * Checks if the value is an object or array that can be observed.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isObservable = (value) =>
+  isPlainObject(value) || Array.isArray(value)
+
+/**
+ * Returns the raw value wrapped by an observing proxy, or the value itself.
+ * @param {*} value
+ * @returns {*}
+ */
+export const toRaw = (value) => (value && rawValues.get(value)) || value
+
+/**
+ * Returns the raw value, replacing proxies nested in it (e.g. in arrays
+ * copied from an observed array) with their raw values.
+ * @param {*} value
+ * @param {WeakSet} seen - values already unwrapped, in case of cycles
+ * @returns {*}
+ */
+export function toRawDeep(value, seen = new WeakSet()) {
+  value = toRaw(value)
+
+  if (!isObservable(value) || seen.has(value)) return value
+  seen.add(value)
+
+  for (let key in value) {
+    const rawValue = toRawDeep(value[key], seen)
+    if (rawValue !== value[key]) value[key] = rawValue
+  }
+
+  return value
+}
+
+/**
+ * Creates a function wrapping objects and arrays in proxies which call
+ * `onChange` with the path (an array of keys), old value, new value and
+ * root value whenever they, or nested objects and arrays, are mutated.
+ * Nested values are read wrapped too, so they aren't identical to the raw
+ * values, though `includes`, `indexOf` and `lastIndexOf` find either.
+ * @param {Function} onChange
+ * @returns {Function} wraps a value, returning the same proxy for the same value, root and path
+ */
+export function createDeepObserver(onChange) {
+  // Raw values to their proxies, by root and path. Values can be shared
+  // by roots, so each root observes them with its own proxies.
+  const proxies = new WeakMap()
+
+  function observe(target, path = [], root = target) {
+    const pathKey = path.join(".")
+
+    if (!proxies.has(root)) proxies.set(root, new WeakMap())
+    const rootProxies = proxies.get(root)
+
+    if (!rootProxies.has(target)) rootProxies.set(target, new Map())
+    const targetProxies = rootProxies.get(target)
+
+    if (targetProxies.has(pathKey)) return targetProxies.get(pathKey)
+
+    const proxy = new Proxy(target, {
+      get(target, key) {
+        if (Array.isArray(target) && identityMethods[key]) {
+          return identityMethods[key]
+        }
+
+        const value = target[key]
+
+        return typeof key !== "symbol" && isObservable(value)
+          ? observe(value, [...path, key], root)
+          : value
+      },
+      set(target, key, value) {
+        const oldValue = target[key]
+        const rawValue = toRawDeep(value)
+
+        target[key] = rawValue
+
+        if (oldValue !== rawValue) {
+          onChange([...path, key], oldValue, rawValue, root)
+        }
+
+        return true
+      },
+      deleteProperty(target, key) {
+        if (!Object.prototype.hasOwnProperty.call(target, key)) return true
+
+        const oldValue = target[key]
+        delete target[key]
+        onChange([...path, key], oldValue, undefined, root)
+
+        return true
+      },
+    })
+
+    rawValues.set(proxy, target)
+    targetProxies.set(pathKey, proxy)
+
+    return proxy
+  }
+
+  return (value) => (isObservable(value) ? observe(value) : value)
+}
@@ -1,3 +1,7 @@
+export * from "./attributes"
+export * from "./converters"
+export * from "./computed-property"
+export * from "./signal-property"
 export * from "./upgrade-property"
 export * from "./validate-type"
 export * from "./validate-required"
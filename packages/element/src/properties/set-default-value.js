@@ -2,11 +2,14 @@ import {
   isFunction,
   isUndefined,
   isString,
-  camelToKebab,
   sanitizeString,
+  Internal,
 } from "@bulba/utils"
 import { validateType } from "./validate-type"
 import { validateRequired } from "./validate-required"
+import { getConverter } from "./converters"
+import { getAttributeName } from "./attributes"
+import { toRaw, toRawDeep } from "./deep-proxy"
 
 export function setDefaultvalue(
   Cls,
@@ -17,27 +20,41 @@ export function setDefaultvalue(
     reflected = false,
     safe = false,
     required = false,
+    formValue = false,
+    deep = false,
+    converter,
+    attribute,
   },
   privateName
 ) {
-  const attrName = camelToKebab(propName)
-  const attrValue = Cls.getAttribute(attrName)
+  const attrName = getAttributeName(propName, { reflected, attribute })
+  const attrValue = attrName ? Cls.getAttribute(attrName) : null
+  const { fromAttribute, toAttribute } = getConverter({
+    type: propType,
+    converter,
+  })
 
   // Initialize the value
   //
-  // 1. If the value is reflected and the attribute has a value,
-  //    use the value
+  // 1. If the value syncs with an attribute and it's present,
+  //    use its converted value, unless it can't be converted
   // 2. If the default is a function, compute it
   // 3. Otherwise, just use the default, even if undefined
 
-  const initialValue =
-    reflected && attrValue
-      ? attrValue
-      : !isUndefined(Cls[propName])
-      ? Cls[propName]
-      : isFunction(defaultValue)
-      ? defaultValue(Cls)
-      : defaultValue
+  const attrPropValue =
+    attrValue !== null ? fromAttribute(attrValue, propType) : undefined
+
+  // When upgraded again (e.g. on reconnect), the current value of a deep
+  // property is read through its previous observer, so unwrap it.
+  const currentValue = deep ? toRawDeep(Cls[propName]) : toRaw(Cls[propName])
+
+  const initialValue = !isUndefined(attrPropValue)
+    ? attrPropValue
+    : !isUndefined(currentValue)
+    ? currentValue
+    : isFunction(defaultValue)
+    ? defaultValue(Cls)
+    : defaultValue
 
   // Validate the property's default value type, if given
 
@@ -57,10 +74,17 @@ export function setDefaultvalue(
     Cls[privateName] = privateValue
   }
 
+  if (formValue) {
+    Cls[Internal.setFormValue](Cls[privateName])
+  }
+
   // If no attribute and is reflected, set attribute
 
-  if (reflected && !attrValue) {
-    const initialAttrValue = initialValue ? String(initialValue) : ""
-    Cls.setAttribute(attrName, initialAttrValue)
+  if (attrName && attrValue === null) {
+    const initialAttrValue = toAttribute(initialValue, propType)
+
+    if (initialAttrValue !== null) {
+      Cls.setAttribute(attrName, initialAttrValue)
+    }
   }
 }
@@ -0,0 +1,28 @@
+import { log, isFunction } from "@bulba/utils"
+import { trackDependency } from "./computed-property"
+
+/**
+ * Upgrades a property whose default is a signal. The property reads and
+ * writes the signal, so elements rendering it update when it changes.
+ * Computed signals are read-only.
+ * @param {HTMLElement} Cls
+ * @param {string} propName
+ * @param {{ default }} configuration
+ */
+export function upgradeSignalProperty(Cls, propName, { default: signal }) {
+  Object.defineProperty(Cls, propName, {
+    configurable: true,
+    enumerable: true,
+    get() {
+      trackDependency(Cls, propName)
+      return signal.get()
+    },
+    set(value) {
+      if (isFunction(signal.set)) {
+        signal.set(value)
+      } else if (BUILD_ENV === "development") {
+        log(`Property '${propName}' is a read-only computed signal.`)
+      }
+    },
+  })
+}
@@ -1,6 +1,6 @@
 import {
+  isFunction,
   isUndefined,
-  camelToKebab,
   sanitizeString,
   isString,
   Internal,
@@ -9,13 +9,23 @@ import {
 import { setDefaultvalue } from "./set-default-value"
 import { validateRequired } from "./validate-required"
 import { validateType } from "./validate-type"
+import { getConverter } from "./converters"
+import { getAttributeName } from "./attributes"
+import {
+  upgradeComputedProperty,
+  trackDependency,
+  invalidateDependents,
+} from "./computed-property"
+import { createDeepObserver, toRaw, toRawDeep } from "./deep-proxy"
+import { upgradeSignalProperty } from "./signal-property"
+import { isSignal } from "../signals"
 
 /**
  * Upgrade a property based on its configuration. If accessors are detected in
  * the extender, skip the upgrade.
  * @param {HTMLElement} Cls
  * @param {string} propName
- * @param {{ default, type, reflected, safe }} configuration
+ * @param {{ default, computed, type, reflected, attribute, safe, deep, formValue, converter }} configuration
  */
 export function upgradeProperty(Cls, propName, configuration = {}) {
   // If the constructor class is using its own setter/getter, bail
@@ -23,30 +33,99 @@ export function upgradeProperty(Cls, propName, configuration = {}) {
     return
   }
 
+  if (isFunction(configuration.computed)) {
+    upgradeComputedProperty(Cls, propName, configuration)
+    return
+  }
+
+  if (isSignal(configuration.default)) {
+    upgradeSignalProperty(Cls, propName, configuration)
+    return
+  }
+
   const privateName = Symbol(propName)
   const {
     type,
-    reflected = false,
     safe = false,
     required = false,
+    deep = false,
+    formValue = false,
   } = configuration
+  const { toAttribute } = getConverter(configuration)
+  const attrName = getAttributeName(propName, configuration)
 
-  // If reflected, store the private name
-  if (reflected) {
+  // If synced with an attribute, store the private name
+  if (attrName) {
     Cls[Internal.reflectMap][propName] = privateName
   }
 
   setDefaultvalue(Cls, propName, configuration, privateName)
 
+  function reflect(value) {
+    if (!attrName) return
+
+    const attrValue = toAttribute(value, type)
+
+    // Flag the reflection so the attribute change isn't converted
+    // back into the property.
+    Cls[Internal.reflectingProperty] = propName
+
+    if (attrValue === null) {
+      Cls.removeAttribute(attrName)
+    } else if (Cls.getAttribute(attrName) !== attrValue) {
+      Cls.setAttribute(attrName, attrValue)
+    }
+
+    Cls[Internal.reflectingProperty] = null
+  }
+
+  function update() {
+    if (formValue) {
+      Cls[Internal.setFormValue](Cls[privateName])
+    }
+
+    invalidateDependents(Cls, propName)
+
+    Cls[External.requestRender]()
+  }
+
+  // Deep properties observe mutations of nested objects and arrays.
+  // onPropertyChange receives the nested values and their path, while
+  // changedProperties keeps the (mutated) object.
+  const observe =
+    deep &&
+    createDeepObserver((path, oldValue, value, root) => {
+      // Ignore mutations of values which were since replaced
+      if (root !== Cls[privateName]) return
+
+      if (!Cls[Internal.changedProperties].has(propName)) {
+        Cls[Internal.changedProperties].set(propName, Cls[privateName])
+      }
+
+      Cls[Internal.runLifecycle](
+        External.onPropertyChange,
+        propName,
+        oldValue,
+        value,
+        [propName, ...path].join(".")
+      )
+
+      reflect(Cls[privateName])
+      update()
+    })
+
   // define the upgraded prop accessors
 
   Object.defineProperty(Cls, propName, {
     configurable: true,
     enumerable: true,
     get() {
-      return Cls[privateName]
+      trackDependency(Cls, propName)
+      return observe ? observe(Cls[privateName]) : Cls[privateName]
     },
     set(value) {
+      value = deep ? toRawDeep(value) : toRaw(value)
+
       // Don't set if the value is the same to prevent unnecessary re-renders.
       if (value === Cls[privateName]) return
 
@@ -57,12 +136,17 @@ export function upgradeProperty(Cls, propName, configuration = {}) {
 
       // If the reflected property was undefined previously, re-add the prop
       // to the reflectMap so attribute changes reflect to the property again
-      if (reflected && !Cls[Internal.reflectMap][propName]) {
+      if (attrName && !Cls[Internal.reflectMap][propName]) {
         Cls[Internal.reflectMap][propName] = privateName
       }
 
       const oldValue = Cls[privateName]
 
+      // Keep the value from before the first change since the last render
+      if (!Cls[Internal.changedProperties].has(propName)) {
+        Cls[Internal.changedProperties].set(propName, oldValue)
+      }
+
       if (!isUndefined(value)) {
         Cls[privateName] =
           safe && type === "string" && isString(value) && value !== ""
@@ -76,14 +160,7 @@ export function upgradeProperty(Cls, propName, configuration = {}) {
           value
         )
 
-        if (reflected) {
-          const attribute = camelToKebab(propName)
-          const attrValue = String(value)
-
-          if (Cls.getAttribute(attribute) !== attrValue) {
-            Cls.setAttribute(attribute, attrValue)
-          }
-        }
+        reflect(value)
       } else {
         delete Cls[privateName]
 
@@ -95,15 +172,13 @@ export function upgradeProperty(Cls, propName, configuration = {}) {
         )
 
         // Prevent attribute changes from updating the property unintentionally.
-        if (reflected) {
+        if (attrName) {
           delete Cls[Internal.reflectMap][propName]
-
-          const attribute = camelToKebab(propName)
-          Cls.removeAttribute(attribute)
+          Cls.removeAttribute(attrName)
         }
       }
 
-      Cls[External.requestRender]()
+      update()
     },
   })
 }
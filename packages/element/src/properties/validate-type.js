@@ -1,13 +1,14 @@
 import { log, getTypeTag, isUndefined } from "@bulba/utils"
 
 /**
- * Checks that a prop name matches its intended type in development.
+ * Checks that a prop name matches its intended type in development. `null`
+ * is accepted for any type, since it's the value of a removed attribute.
  * @param {string} name
  * @param {*} value
  * @param {string} type
  */
 export function validateType(name, value, type) {
-  if (isUndefined(type)) return
+  if (isUndefined(type) || value === null) return
 
   const evaluatedType = getTypeTag(value)
   if (evaluatedType !== type) {
@@ -0,0 +1,138 @@
+import { isBrowser, isFunction, log } from "@bulba/utils"
+import { register } from "./register"
+
+// Tags waiting to be loaded, mapped to their loader and options
+const pendingDefinitions = new Map()
+
+let mutationObserver = null
+let intersectionObserver = null
+
+/**
+ * Imports the element's module and registers its class (the default
+ * export, or the module itself if it's a class) unless the module
+ * registered it already. Existing elements upgrade in place, keeping
+ * properties set on them before the definition loaded.
+ * @param {string} tag
+ */
+function load(tag) {
+  const definition = pendingDefinitions.get(tag)
+  if (!definition || definition.isLoading) return
+
+  definition.isLoading = true
+
+  Promise.resolve(definition.loader())
+    .then((module) => {
+      pendingDefinitions.delete(tag)
+      if (customElements.get(tag)) return
+
+      const ElementClass = isFunction(module)
+        ? module
+        : module && module.default
+
+      if (!isFunction(ElementClass)) {
+        throw new Error(`The module has no default export.`)
+      }
+
+      register(tag, ElementClass)
+    })
+    .catch((error) => {
+      // Try again the next time the tag is added
+      definition.isLoading = false
+      log(`Failed to load element '${tag}': ${error.message}`, "error")
+    })
+}
+
+/**
+ * Loads pending tags used in the node or its descendants. Tags loaded
+ * when visible are observed until they intersect the viewport.
+ * @param {Element|Document|ShadowRoot} node
+ */
+function scan(node) {
+  pendingDefinitions.forEach(({ visible }, tag) => {
+    const nodes = Array.prototype.slice.call(node.querySelectorAll(tag))
+    if (node.localName === tag) nodes.push(node)
+    if (!nodes.length) return
+
+    if (visible && intersectionObserver) {
+      nodes.forEach((target) => intersectionObserver.observe(target))
+    } else {
+      load(tag)
+    }
+  })
+}
+
+/**
+ * Starts watching a root (the document, or an element's shadow root) for
+ * pending tags, loading any it already contains.
+ * @param {Document|ShadowRoot} root
+ */
+export function observeLazyRoot(root) {
+  if (!mutationObserver) return
+
+  mutationObserver.observe(root, { childList: true, subtree: true })
+  if (pendingDefinitions.size) scan(root)
+}
+
+/**
+ * Calls the function with the document and each open shadow root of
+ * connected Bulba elements, denoted by the `bulba-id` attribute.
+ * @param {Function} fn
+ * @param {Document|ShadowRoot} root
+ */
+function forEachRoot(fn, root = document) {
+  fn(root)
+
+  Array.prototype.forEach.call(root.querySelectorAll("[bulba-id]"), (node) => {
+    if (node.shadowRoot) forEachRoot(fn, node.shadowRoot)
+  })
+}
+
+function createObservers() {
+  mutationObserver = new MutationObserver((mutations) => {
+    if (!pendingDefinitions.size) return
+
+    mutations.forEach(({ addedNodes }) =>
+      Array.prototype.forEach.call(addedNodes, (node) => {
+        if (isFunction(node.querySelectorAll)) scan(node)
+      })
+    )
+  })
+
+  if (typeof IntersectionObserver !== "undefined") {
+    intersectionObserver = new IntersectionObserver((entries) =>
+      entries.forEach(({ isIntersecting, target }) => {
+        if (!isIntersecting) return
+
+        intersectionObserver.unobserve(target)
+        load(target.localName)
+      })
+    )
+  }
+
+  forEachRoot(observeLazyRoot)
+}
+
+/**
+ * Defines a custom element the first time its tag is added to the
+ * document or a Bulba element's shadow root, by importing it with the
+ * loader, e.g. `registerLazy("x-dialog", () => import("./dialog.js"))`.
+ * @param {string} tag
+ * @param {Function} loader - returns the module (or a promise of it)
+ * @param {{visible: boolean}} options - if `visible`, wait until an instance intersects the viewport
+ * @returns {Promise} resolves when the tag is defined
+ */
+export const registerLazy = (tag, loader, { visible = false } = {}) => {
+  if (!isBrowser()) return Promise.resolve()
+
+  if (!customElements.get(tag) && !pendingDefinitions.has(tag)) {
+    pendingDefinitions.set(tag, { loader, visible, isLoading: false })
+
+    if (mutationObserver) {
+      forEachRoot(scan)
+    } else {
+      createObservers()
+    }
+  }
+
+  return customElements.whenDefined(tag)
+}
@@ -1,10 +1,26 @@
+import { log } from "@bulba/utils"
+import { isHotReplacementEnabled, hotReplace } from "./hmr"
+
 /**
- * Adds custom element to the global registry.
+ * Adds custom element to the global registry. In development, if hot
+ * replacement is enabled, registering a new version of a defined class
+ * updates the defined class and its live instances instead.
  * @param {string} tag
  * @param {module} BulbaInstance
  */
 export const register = (tag, BulbaInstance) => {
-  if (!customElements.get(tag)) {
+  const DefinedClass = customElements.get(tag)
+
+  if (!DefinedClass) {
     customElements.define(tag, BulbaInstance)
+  } else if (BUILD_ENV === "development" && DefinedClass !== BulbaInstance) {
+    if (isHotReplacementEnabled()) {
+      hotReplace(DefinedClass, BulbaInstance)
+      return
+    }
+
+    log(
+      `Tag '${tag}' is already registered with a different class ('${DefinedClass.name}'), so '${BulbaInstance.name}' was not registered. If both versions are needed, declare the element in 'static elements' of the elements using it.`
+    )
   }
 }
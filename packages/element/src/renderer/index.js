@@ -1,45 +1,154 @@
-import { Internal, External, isFunction } from "@bulba/utils"
+import { Internal, External, isFunction, isBrowser } from "@bulba/utils"
+import { updateSlotContent } from "../slots"
+import { DevtoolsEvents, notifyDevtools } from "../devtools"
+
+function assertRender(element) {
+  if (!isFunction(element[External.render])) {
+    throw new Error(
+      `[BulbaElement]: You must include a render method in element: '${element.constructor.name}'`
+    )
+  }
+}
 
 /**
- * Sets up render methods for given renderer.
+ * Returns false if the element's shouldUpdate hook cancels the render.
+ * @param {HTMLElement} element
+ * @param {Map} changedProperties
+ * @returns {boolean}
+ */
+function shouldUpdate(element, changedProperties) {
+  if (!isFunction(element[External.shouldUpdate])) return true
+
+  try {
+    return element[External.shouldUpdate](changedProperties) !== false
+  } catch (error) {
+    element[Internal.handleError](error, External.shouldUpdate)
+    return false
+  }
+}
+
+/**
+ * Patches the element's view. If rendering throws and the element is its
+ * own fallback boundary, the `renderError` view is patched in instead.
  * @param {HTMLElement} element
- * @param {{patch: Function, destroy: Function}} renderer
+ * @param {{patch: Function}} renderer
+ * @returns {boolean} whether the DOM was patched
+ */
+function patchView(element, renderer) {
+  try {
+    renderer.patch(element)
+  } catch (error) {
+    const phase =
+      element[Internal.error] === null ? External.render : External.renderError
+
+    element[Internal.error] = null
+    element[Internal.handleError](error, phase)
+
+    if (element[Internal.error] === null) return false
+    return patchView(element, renderer)
+  }
+
+  element[Internal.error] = null
+  return true
+}
+
+/**
+ * Sets up render methods for given renderer.
+ * @param {{patch: Function, destroy: Function, renderToString: Function}} renderer
  */
 export function setRenderer(renderer) {
   return {
     patch(element) {
-      if (!window?.document) return
+      if (!isBrowser()) return
 
-      if (!isFunction(element[External.render])) {
-        throw new Error(
-          `[BulbaElement]: You must include a render method in element: '${element.constructor.name}'`
-        )
+      assertRender(element)
+
+      // Property changes since the last render, mapped to their old values
+      const changedProperties = element[Internal.changedProperties]
+
+      // A pending fallback view is always rendered.
+      if (
+        element[Internal.error] === null &&
+        !shouldUpdate(element, changedProperties)
+      ) {
+        element[Internal.changedProperties] = new Map()
+        return
+      }
+
+      element[Internal.isUpdating] = true
+      try {
+        element[Internal.runControllers](External.hostUpdate)
+        element[Internal.runLifecycle](External.willUpdate, changedProperties)
+      } finally {
+        element[Internal.isUpdating] = false
       }
 
-      renderer.patch(element)
+      element[Internal.changedProperties] = new Map()
+
+      if (!patchView(element, renderer)) return
+
+      // Nodes created by the renderer start out in the global registry
+      if (element[Internal.registry]) {
+        element[Internal.registry].initialize(element[Internal.renderRoot])
+      }
+
+      // Slots may have been added or removed
+      updateSlotContent(element)
+
+      const isMount = element[Internal.isFirstRender]
 
-      if (element[Internal.isFirstRender]) {
+      if (isMount) {
         element[Internal.isFirstRender] = false
-        element[Internal.runLifecycle](External.onMount)
+        element[Internal.shouldHydrate] = false
+        element[Internal.runLifecycle](External.onMount, changedProperties)
       } else {
-        element[Internal.runLifecycle](External.onUpdate)
+        element[Internal.runLifecycle](External.onUpdate, changedProperties)
+      }
+
+      element[Internal.runControllers](External.hostUpdated)
+
+      if (BUILD_ENV === "development") {
+        notifyDevtools(
+          isMount ? DevtoolsEvents.mount : DevtoolsEvents.update,
+          element
+        )
       }
     },
     destroy(element) {
-      if (!window?.document) return
+      if (!isBrowser()) return
 
       element[Internal.isFirstRender] = true
       element[Internal.runLifecycle](External.onUnmount)
 
+      if (BUILD_ENV === "development") {
+        notifyDevtools(DevtoolsEvents.unmount, element)
+      }
+
       renderer.destroy(element)
 
       element[Internal.vnode] = null
-      const children = Array.apply(null, element.shadowRoot.childNodes)
+      element[Internal.refs] = {}
+
+      // Light DOM hosts keep nodes the element didn't render.
+      const root = element[Internal.renderRoot]
+      if (root === element) {
+        const styleTag = element[Internal.styleTag]
+        if (styleTag && styleTag.parentNode === root) {
+          root.removeChild(styleTag)
+        }
+        return
+      }
+
+      const children = Array.apply(null, root.childNodes)
       if (children.length) {
         Array.prototype.forEach.call(children, (child) =>
-          element.shadowRoot.removeChild(child)
+          root.removeChild(child)
         )
       }
     },
+    renderToString(element) {
+      assertRender(element)
+      return renderer.renderToString(element)
+    },
   }
 }
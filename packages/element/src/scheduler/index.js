@@ -1,4 +1,4 @@
-import { isFunction } from "@bulba/utils"
+import { isFunction, isBrowser } from "@bulba/utils"
 
 /**
  * This scheduler uses either requestAnimationFrame or setTimeout
@@ -10,8 +10,8 @@ import { isFunction } from "@bulba/utils"
 
 export function createScheduler() {
   // Store these in case for some reason they are reassigned later.
-  const requestAnimationFrame = window.requestAnimationFrame
-  const setTimeout = window.setTimeout
+  const requestAnimationFrame = isBrowser() && window.requestAnimationFrame
+  const setTimeout = isBrowser() && window.setTimeout
   const FRAME_DURATION = 1000 / 60
   let scheduled = null
 
@@ -0,0 +1,144 @@
+import { isFunction, External } from "@bulba/utils"
+
+// Scoped registries and renamed tags of declared elements, by element class
+const registries = new WeakMap()
+const tagNameMaps = new WeakMap()
+
+// Suffixed tag names defined for declared classes
+const suffixedTagNames = new WeakMap()
+
+// Subclasses defined for classes already defined under another tag
+const aliasClasses = new WeakSet()
+
+/**
+ * Checks if shadow roots can have their own custom element registry.
+ * @returns {boolean}
+ */
+export function supportsScopedRegistries() {
+  if (
+    typeof CustomElementRegistry === "undefined" ||
+    !isFunction(CustomElementRegistry.prototype.initialize)
+  ) {
+    return false
+  }
+
+  try {
+    new CustomElementRegistry()
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Returns a registry defining the element class's `static elements`,
+ * shared by its instances' shadow roots.
+ * @param {HTMLElement} Cls - the element class
+ * @returns {CustomElementRegistry}
+ */
+export function getScopedRegistry(Cls) {
+  if (!registries.has(Cls)) {
+    const registry = new CustomElementRegistry()
+    const elements = Cls[External.staticElements]
+
+    for (let tag in elements) {
+      registry.define(tag, elements[tag])
+    }
+
+    registries.set(Cls, registry)
+  }
+
+  return registries.get(Cls)
+}
+
+/**
+ * Defines the class under the first free versioned tag, e.g. `x-button-2`.
+ * A constructor can only be defined once, so a subclass is defined.
+ * @param {string} tag
+ * @param {HTMLElement} ElementClass
+ * @returns {string}
+ */
+function defineSuffixedTagName(tag, ElementClass) {
+  if (!suffixedTagNames.has(ElementClass)) {
+    let version = 1
+    let tagName
+
+    do {
+      tagName = `${tag}-${++version}`
+    } while (customElements.get(tagName))
+
+    customElements.define(tagName, class extends ElementClass {})
+    suffixedTagNames.set(ElementClass, tagName)
+  }
+
+  return suffixedTagNames.get(ElementClass)
+}
+
+/**
+ * Checks if the tag is defined with the class, or a subclass of it defined
+ * by `defineElement`.
+ * @param {string} tag
+ * @param {HTMLElement} ElementClass
+ * @returns {boolean}
+ */
+function isDefinedWith(tag, ElementClass) {
+  const DefinedClass = customElements.get(tag)
+
+  return (
+    DefinedClass === ElementClass ||
+    (aliasClasses.has(DefinedClass) &&
+      Object.getPrototypeOf(DefinedClass) === ElementClass)
+  )
+}
+
+/**
+ * Defines the class under a free tag. A constructor can only be defined
+ * once, so if it's already defined under another tag (e.g. by the app), a
+ * subclass is defined instead.
+ * @param {string} tag
+ * @param {HTMLElement} ElementClass
+ */
+function defineElement(tag, ElementClass) {
+  const isDefined =
+    isFunction(customElements.getName) &&
+    customElements.getName(ElementClass) !== null
+
+  if (!isDefined) {
+    try {
+      customElements.define(tag, ElementClass)
+      return
+    } catch (error) {
+      // Without `getName`, defining is the only way to tell
+    }
+  }
+
+  const AliasClass = class extends ElementClass {}
+  aliasClasses.add(AliasClass)
+  customElements.define(tag, AliasClass)
+}
+
+/**
+ * Defines the element class's `static elements` in the global registry.
+ * Tags already defined with a different class are defined with a suffix
+ * instead, so the renderers can rename them in the view.
+ * @param {HTMLElement} Cls - the element class
+ * @returns {Object<string, string>} declared tags mapped to their suffixed tag
+ */
+export function getTagNameMap(Cls) {
+  if (!tagNameMaps.has(Cls)) {
+    const elements = Cls[External.staticElements]
+    const tagNames = {}
+
+    for (let tag in elements) {
+      if (!customElements.get(tag)) {
+        defineElement(tag, elements[tag])
+      } else if (!isDefinedWith(tag, elements[tag])) {
+        tagNames[tag] = defineSuffixedTagName(tag, elements[tag])
+      }
+    }
+
+    tagNameMaps.set(Cls, tagNames)
+  }
+
+  return tagNameMaps.get(Cls)
+}
@@ -0,0 +1,125 @@
+// The computation currently collecting the signals it reads
+let activeConsumer = null
+
+function track(signal) {
+  if (!activeConsumer) return
+
+  activeConsumer.sources.add(signal)
+  signal.consumers.add(activeConsumer)
+}
+
+function untrackSources(consumer) {
+  consumer.sources.forEach((source) => source.consumers.delete(consumer))
+  consumer.sources.clear()
+}
+
+function invalidateConsumers(signal) {
+  Array.from(signal.consumers).forEach((consumer) => consumer.invalidate())
+}
+
+/**
+ * Runs the function, tracking the signals it reads as the consumer's
+ * sources in place of the previous ones.
+ * @param {{sources: Set, invalidate: Function}} consumer
+ * @param {Function} fn
+ * @returns {*} the function's return value
+ */
+function runTracked(consumer, fn) {
+  untrackSources(consumer)
+
+  const parentConsumer = activeConsumer
+  activeConsumer = consumer
+
+  try {
+    return fn()
+  } finally {
+    activeConsumer = parentConsumer
+  }
+}
+
+/**
+ * A writable signal, as in the TC39 signals proposal.
+ */
+class State {
+  constructor(value, { equals = Object.is } = {}) {
+    this.value = value
+    this.equals = equals
+    this.consumers = new Set()
+  }
+
+  get() {
+    track(this)
+    return this.value
+  }
+
+  set(value) {
+    if (this.equals(this.value, value)) return
+
+    this.value = value
+    invalidateConsumers(this)
+  }
+}
+
+/**
+ * A signal derived from other signals, as in the TC39 signals proposal.
+ * The value is memoized until a signal read while computing it changes.
+ */
+class Computed {
+  constructor(fn) {
+    this.fn = fn
+    this.value = undefined
+    this.isStale = true
+    this.sources = new Set()
+    this.consumers = new Set()
+  }
+
+  get() {
+    track(this)
+
+    if (this.isStale) {
+      this.value = runTracked(this, () => this.fn.call(this))
+      this.isStale = false
+    }
+
+    return this.value
+  }
+
+  invalidate() {
+    if (this.isStale) return
+
+    this.isStale = true
+    untrackSources(this)
+    invalidateConsumers(this)
+  }
+}
+
+export const Signal = { State, Computed }
+
+/**
+ * Checks if the value is a signal.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isSignal = (value) =>
+  value instanceof State || value instanceof Computed
+
+/**
+ * Creates a tracker which calls `onChange` once any signal read during the
+ * last tracked run changes.
+ * @param {Function} onChange
+ * @returns {{track: Function, dispose: Function}}
+ */
+export function createSignalTracker(onChange) {
+  const consumer = {
+    sources: new Set(),
+    invalidate() {
+      untrackSources(consumer)
+      onChange()
+    },
+  }
+
+  return {
+    track: (fn) => runTracked(consumer, fn),
+    dispose: () => untrackSources(consumer),
+  }
+}
@@ -0,0 +1,94 @@
+import { Attributes, Internal, External } from "@bulba/utils"
+
+const ELEMENT_NODE = 1
+const TEXT_NODE = 3
+
+// Token used in the has-content attribute for the default slot
+const DEFAULT_SLOT_TOKEN = "default"
+
+/**
+ * Checks if any of the nodes are elements or non-whitespace text.
+ * @param {Node[]} nodes
+ * @returns {boolean}
+ */
+function hasContent(nodes) {
+  return nodes.some(
+    (node) =>
+      node.nodeType === ELEMENT_NODE ||
+      (node.nodeType === TEXT_NODE && node.textContent.trim())
+  )
+}
+
+/**
+ * Returns the nodes assigned to the element's slot with the given name, or
+ * its default slot. Light DOM elements have no slots, so their children
+ * with the matching `slot` attribute are returned instead.
+ * @param {HTMLElement} element
+ * @param {string} name
+ * @returns {Node[]}
+ */
+export function getSlottedNodes(element, name = "") {
+  const root = element[Internal.renderRoot]
+
+  if (root === element) {
+    return Array.prototype.filter.call(element.childNodes, (node) =>
+      name
+        ? node.nodeType === ELEMENT_NODE && node.getAttribute("slot") === name
+        : node.nodeType !== ELEMENT_NODE || !node.hasAttribute("slot")
+    )
+  }
+
+  const slot = root.querySelector(
+    name ? `slot[name="${name}"]` : "slot:not([name])"
+  )
+  return slot ? slot.assignedNodes({ flatten: true }) : []
+}
+
+/**
+ * Lists the slots with content in the host's `has-content` attribute, e.g.
+ * `has-content="default header"`, so it can be styled with
+ * `:host([has-content~="header"])`.
+ * @param {HTMLElement} element
+ */
+export function updateSlotContent(element) {
+  const root = element[Internal.renderRoot]
+  if (root === element) return
+
+  const names = Array.prototype.filter
+    .call(root.querySelectorAll("slot"), (slot) =>
+      hasContent(slot.assignedNodes({ flatten: true }))
+    )
+    .map((slot) => slot.name || DEFAULT_SLOT_TOKEN)
+
+  if (names.length) {
+    element.setAttribute(Attributes.hasContent, names.join(" "))
+  } else {
+    element.removeAttribute(Attributes.hasContent)
+  }
+}
+
+/**
+ * Listens for slot changes from the render root, so slots replaced by a
+ * patch are still covered. Calls `onSlotChange` with the slot's name and
+ * assigned nodes. The listener is removed with the declared listeners.
+ * @param {HTMLElement} element
+ */
+export function addSlotListener(element) {
+  const root = element[Internal.renderRoot]
+  if (root === element) return
+
+  const listener = (event) => {
+    const slot = event.target
+    if (slot.localName !== "slot") return
+
+    updateSlotContent(element)
+    element[Internal.runLifecycle](
+      External.onSlotChange,
+      slot.name,
+      slot.assignedNodes({ flatten: true })
+    )
+  }
+
+  root.addEventListener("slotchange", listener)
+  element[Internal.listeners].push([root, "slotchange", listener, {}])
+}
@@ -0,0 +1,56 @@
+import { isFunction, External } from "@bulba/utils"
+
+/**
+ * Creates a controller which subscribes its host to a store while the host
+ * is connected. Selectors map the store state to values; the host only
+ * re-renders when a selected value changes.
+ * @param {HTMLElement} host
+ * @param {{subscribe: Function, getState: Function}} store
+ * @param {Object<string, Function>} selectors - e.g. `{ todos: (state) => state.todos }`
+ * @returns {{values: Object, hostConnected: Function, hostDisconnected: Function}}
+ */
+export function createStoreController(host, store, selectors) {
+  let subscription = null
+
+  const controller = {
+    values: {},
+    hostConnected() {
+      select()
+      subscription = store.subscribe(() => {
+        if (select()) host[External.requestRender]()
+      })
+    },
+    hostDisconnected() {
+      if (isFunction(subscription)) {
+        subscription()
+      } else if (subscription && isFunction(subscription.unsubscribe)) {
+        subscription.unsubscribe()
+      }
+      subscription = null
+    },
+  }
+
+  /**
+   * Updates the selected values.
+   * @returns {boolean} whether any value changed
+   */
+  function select() {
+    const state = store.getState()
+    let hasChanged = false
+
+    for (let key in selectors) {
+      const value = selectors[key](state)
+
+      if (value !== controller.values[key]) {
+        controller.values[key] = value
+        hasChanged = true
+      }
+    }
+
+    return hasChanged
+  }
+
+  select()
+
+  return controller
+}
@@ -0,0 +1,81 @@
+import { isBrowser, isString, CSSResult } from "@bulba/utils"
+
+// Stylesheets compiled from each class's string styles, by position.
+const classSheets = new WeakMap()
+
+// Stylesheets compiled from `css` results, shared by every class using them.
+const resultSheets = new WeakMap()
+
+/**
+ * Checks if shadow roots can share constructable stylesheets.
+ * @returns {boolean}
+ */
+export function supportsAdoptedStyleSheets() {
+  return (
+    isBrowser() &&
+    "adoptedStyleSheets" in Document.prototype &&
+    "replaceSync" in CSSStyleSheet.prototype
+  )
+}
+
+function createStyleSheet(cssText) {
+  const sheet = new CSSStyleSheet()
+  sheet.replaceSync(cssText)
+  return sheet
+}
+
+/**
+ * Returns the stylesheets for a class's flattened styles. String styles
+ * are compiled per class; if one changed since it was compiled, its sheet
+ * is updated in place, which applies to every shadow root adopting it.
+ * @param {Function} Cls
+ * @param {Array<string|CSSResult|CSSStyleSheet>} styles
+ * @returns {CSSStyleSheet[]}
+ */
+export function getStyleSheets(Cls, styles) {
+  if (!classSheets.has(Cls)) classSheets.set(Cls, [])
+
+  const compiled = classSheets.get(Cls)
+  let stringIdx = 0
+
+  return styles.map((style) => {
+    if (style instanceof CSSResult) {
+      if (!resultSheets.has(style)) {
+        resultSheets.set(style, createStyleSheet(style.cssText))
+      }
+      return resultSheets.get(style)
+    }
+
+    if (!isString(style)) return style
+
+    const cached = compiled[stringIdx++]
+
+    if (!cached) {
+      const sheet = createStyleSheet(style)
+      compiled.push({ sheet, cssText: style })
+      return sheet
+    }
+
+    if (cached.cssText !== style) {
+      cached.sheet.replaceSync(style)
+      cached.cssText = style
+    }
+
+    return cached.sheet
+  })
+}
+
+/**
+ * Sets the shadow root's adopted stylesheets, replacing ones previously
+ * adopted by the element and keeping any added by other means.
+ * @param {ShadowRoot} root
+ * @param {CSSStyleSheet[]} sheets
+ * @param {CSSStyleSheet[]} previousSheets
+ */
+export function adoptStyleSheets(root, sheets, previousSheets = []) {
+  const otherSheets = root.adoptedStyleSheets.filter(
+    (sheet) =>
+      previousSheets.indexOf(sheet) === -1 && sheets.indexOf(sheet) === -1
+  )
+  root.adoptedStyleSheets = [...otherSheets, ...sheets]
+}
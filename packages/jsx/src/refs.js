@@ -0,0 +1,78 @@
+import {
+  isFunction,
+  isString,
+  isUndefined,
+  Attributes,
+  Internal,
+} from "@bulba/utils"
+
+/**
+ * Points a ref at the given node, or clears it if the node is null.
+ * Refs can be a callback, a `{ current }` object, or a name to store
+ * in the element's `refs`.
+ * @param {HTMLElement} element
+ * @param {Function|Object|string} ref
+ * @param {Node|null} node
+ * @param {Node} prevNode - the node being unset, if clearing
+ */
+function setRef(element, ref, node, prevNode) {
+  if (isFunction(ref)) {
+    ref(node)
+  } else if (isString(ref)) {
+    const refs = element[Internal.refs]
+    if (node) {
+      refs[ref] = node
+    } else if (refs[ref] === prevNode) {
+      delete refs[ref]
+    }
+  } else if (ref && "current" in ref) {
+    if (node || ref.current === prevNode) ref.current = node
+  }
+}
+
+function addHook(data, name, fn) {
+  const hook = data.hook || (data.hook = {})
+  const existingFn = hook[name]
+
+  hook[name] = existingFn
+    ? (...args) => {
+        existingFn(...args)
+        fn(...args)
+      }
+    : fn
+}
+
+/**
+ * Moves `ref` props (transformed to attributes) onto snabbdom hooks, so
+ * refs follow their node when it's created, replaced or destroyed.
+ * @param {HTMLElement} element
+ * @param {Object} vnode
+ * @returns {Object} vnode
+ */
+export function applyRefs(element, vnode) {
+  const { data } = vnode
+  const ref = data && data.attrs && data.attrs[Attributes.ref]
+
+  if (!isUndefined(ref)) {
+    delete data.attrs[Attributes.ref]
+    data.ref = ref
+
+    addHook(data, "insert", (vnode) => setRef(element, ref, vnode.elm))
+    addHook(data, "postpatch", (oldVNode, vnode) => {
+      const prevRef = oldVNode.data && oldVNode.data.ref
+      if (prevRef === ref && oldVNode.elm === vnode.elm) return
+
+      if (!isUndefined(prevRef)) {
+        setRef(element, prevRef, null, oldVNode.elm)
+      }
+      setRef(element, ref, vnode.elm)
+    })
+    addHook(data, "destroy", (vnode) => setRef(element, ref, null, vnode.elm))
+  }
+
+  if (Array.isArray(vnode.children)) {
+    vnode.children.forEach((child) => applyRefs(element, child))
+  }
+
+  return vnode
+}
@@ -11,7 +11,9 @@ import {
   attributesModule,
   datasetModule,
 } from "snabbdom"
-import { Internal, External } from "@bulba/utils"
+import { getHydrationRoot, camelToKebab, Internal } from "@bulba/utils"
+import { serialize, PROP_ATTRIBUTES } from "./serializer"
+import { applyRefs } from "./refs"
 
 const createEmptyVNode = (element, Internal) =>
   h("!", {
@@ -36,14 +38,89 @@ const patch = init(
   { experimental: { fragments: true } }
 )
 
+/**
+ * Renames tags of scoped elements which were defined with a suffix.
+ * @param {Object} vnode
+ * @param {Object<string, string>} tagNames
+ * @returns {Object} vnode
+ */
+function renameTags(vnode, tagNames) {
+  if (vnode.sel) {
+    const tagName = vnode.sel.split(/[#.]/)[0]
+    if (tagNames[tagName]) {
+      vnode.sel = tagNames[tagName] + vnode.sel.slice(tagName.length)
+    }
+  }
+
+  if (Array.isArray(vnode.children)) {
+    vnode.children.forEach((child) => renameTags(child, tagNames))
+  }
+
+  return vnode
+}
+
 function getRenderState(element) {
-  return sign(transform(element[External.render]()))
+  const vnode = transform(element[Internal.renderView]())
+  return sign(applyRefs(element, renameTags(vnode, element[Internal.tagNames])))
 }
 
 function getInitialRenderState(element) {
   const vnode = toVNode(document.createElement("div"))
   element[Internal.vnode] = patch(vnode, getRenderState(element))
-  element.shadowRoot.appendChild(element[Internal.vnode].elm)
+  element[Internal.renderRoot].appendChild(element[Internal.vnode].elm)
+}
+
+/**
+ * Removes attributes read from server-rendered DOM which the next vnode
+ * sets via its style, props or dataset. Otherwise, the attributes module
+ * would remove them, as the next vnode doesn't list them as attributes.
+ * @param {Object} attrs
+ * @param {Object} data
+ */
+function removeDataAttributes(attrs = {}, data = {}) {
+  if (data.style) delete attrs.style
+
+  for (let name in data.props) {
+    if (PROP_ATTRIBUTES[name]) delete attrs[PROP_ATTRIBUTES[name]]
+  }
+
+  for (let name in data.dataset) {
+    delete attrs[`data-${camelToKebab(name)}`]
+  }
+}
+
+/**
+ * Aligns a vnode read from server-rendered DOM with the vnode about to be
+ * patched in, so snabbdom reuses the existing nodes instead of replacing them.
+ * @param {Object} vnode
+ * @param {Object} nextVNode
+ * @returns {Object} vnode
+ */
+function hydrateVNode(vnode, nextVNode) {
+  if (!vnode.sel || !nextVNode || !nextVNode.sel) return vnode
+
+  const tagName = nextVNode.sel.split(/[#.]/)[0]
+  if (vnode.elm.localName !== tagName) return vnode
+
+  vnode.sel = nextVNode.sel
+  vnode.key = nextVNode.key
+  removeDataAttributes(vnode.data.attrs, nextVNode.data)
+
+  if (Array.isArray(nextVNode.children)) {
+    vnode.children.forEach((child, idx) =>
+      hydrateVNode(child, nextVNode.children[idx])
+    )
+  }
+
+  return vnode
+}
+
+function getHydratedRenderState(element, root) {
+  const nextVNode = getRenderState(element)
+  element[Internal.vnode] = patch(
+    hydrateVNode(toVNode(root), nextVNode),
+    nextVNode
+  )
 }
 
 function getNextRenderState(element) {
@@ -55,16 +132,31 @@ function getNextRenderState(element) {
 
 export const Renderer = {
   patch(element) {
-    if (element[Internal.isFirstRender]) {
+    const hydrationRoot =
+      element[Internal.shouldHydrate] &&
+      getHydrationRoot(element[Internal.renderRoot])
+
+    if (hydrationRoot) {
+      getHydratedRenderState(element, hydrationRoot)
+    } else if (element[Internal.isFirstRender]) {
       getInitialRenderState(element)
     } else {
       getNextRenderState(element)
     }
   },
   destroy(element) {
-    element[Internal.vnode] = patch(
+    if (!element[Internal.vnode]) return
+
+    // Patching in an empty node runs destroy hooks (e.g. for refs), then
+    // the placeholder it leaves is removed.
+    const vnode = patch(
       element[Internal.vnode],
       createEmptyVNode(element, Internal)
     )
+    vnode.elm.parentNode.removeChild(vnode.elm)
+    element[Internal.vnode] = null
+  },
+  renderToString(element) {
+    return serialize(getRenderState(element))
   },
 }
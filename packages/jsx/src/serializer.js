@@ -0,0 +1,137 @@
+import {
+  camelToKebab,
+  sanitizeString,
+  sanitizeAttribute,
+  isUndefined,
+} from "@bulba/utils"
+
+const VOID_ELEMENTS = [
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]
+
+// Props which can be represented as attributes in markup
+export const PROP_ATTRIBUTES = {
+  id: "id",
+  className: "class",
+  tabIndex: "tabindex",
+}
+
+function parseSelector(sel) {
+  const hashIdx = sel.indexOf("#")
+  const dotIdx = sel.indexOf(".", hashIdx)
+  const hash = hashIdx > 0 ? hashIdx : sel.length
+  const dot = dotIdx > 0 ? dotIdx : sel.length
+
+  return {
+    tagName: sel.slice(0, Math.min(hash, dot)),
+    id: hash < dot ? sel.slice(hash + 1, dot) : undefined,
+    classNames: dot < sel.length ? sel.slice(dot + 1).split(".") : [],
+  }
+}
+
+function getStyleText(style) {
+  let text = ""
+
+  for (let name in style) {
+    if (name === "delayed" || name === "remove" || name === "destroy") continue
+
+    const property = name.startsWith("--") ? name : camelToKebab(name)
+    text += `${property}: ${style[name]};`
+  }
+
+  return text
+}
+
+function getAttributes(sel, data = {}) {
+  const { id, classNames } = parseSelector(sel)
+  const attributes = {}
+
+  if (id) attributes.id = id
+
+  for (let name in data.props) {
+    if (PROP_ATTRIBUTES[name] && !isUndefined(data.props[name])) {
+      attributes[PROP_ATTRIBUTES[name]] = data.props[name]
+    }
+  }
+
+  for (let name in data.class) {
+    if (data.class[name]) classNames.push(name)
+  }
+
+  if (classNames.length) {
+    attributes.class = [attributes.class, ...classNames]
+      .filter(Boolean)
+      .join(" ")
+  }
+
+  for (let name in data.attrs) {
+    attributes[name] = data.attrs[name]
+  }
+
+  for (let name in data.dataset) {
+    attributes[`data-${camelToKebab(name)}`] = data.dataset[name]
+  }
+
+  if (data.style) {
+    attributes.style = getStyleText(data.style)
+  }
+
+  return attributes
+}
+
+function serializeAttributes(attributes) {
+  let markup = ""
+
+  for (let name in attributes) {
+    const value = attributes[name]
+
+    if (value === false || value === null || isUndefined(value)) continue
+
+    markup +=
+      value === true ? ` ${name}` : ` ${name}="${sanitizeAttribute(value)}"`
+  }
+
+  return markup
+}
+
+/**
+ * Serializes a (transformed) snabbdom vnode to an HTML string.
+ * @param {Object} vnode
+ * @returns {string}
+ */
+export function serialize(vnode) {
+  if (isUndefined(vnode.sel)) {
+    return isUndefined(vnode.text)
+      ? (vnode.children || []).map(serialize).join("")
+      : sanitizeString(vnode.text)
+  }
+
+  if (vnode.sel === "!") {
+    return `<!--${vnode.text || ""}-->`
+  }
+
+  const { tagName } = parseSelector(vnode.sel)
+  const attributes = serializeAttributes(getAttributes(vnode.sel, vnode.data))
+
+  if (VOID_ELEMENTS.indexOf(tagName) > -1) {
+    return `<${tagName}${attributes}>`
+  }
+
+  const content = !isUndefined(vnode.text)
+    ? sanitizeString(vnode.text)
+    : (vnode.children || []).map(serialize).join("")
+
+  return `<${tagName}${attributes}>${content}</${tagName}>`
+}
@@ -0,0 +1,5 @@
+import getBaseConfig from "../../config/rollup.base.config.js"
+
+const { baseConfig } = getBaseConfig(process.cwd(), "BulbaSSR")
+
+export default baseConfig
@@ -0,0 +1,174 @@
+/**
+ * @jest-environment node
+ */
+
+import { renderToString } from "../"
+import { BulbaElement, register } from "@bulba/element"
+import { Renderer as TemplateRenderer } from "@bulba/template"
+import { Renderer as JsxRenderer, jsx } from "@bulba/jsx"
+
+let id = 0
+
+function define(Renderer, { properties = {}, styles, view, ...options }) {
+  const tagName = `ssr-test-${++id}`
+
+  class TestElement extends BulbaElement(Renderer) {
+    static get properties() {
+      return properties
+    }
+
+    static get styles() {
+      return styles
+    }
+
+    static get shadowRootOptions() {
+      return options.shadowRootOptions
+    }
+
+    static get lightDOM() {
+      return options.lightDOM
+    }
+
+    render() {
+      return view(this)
+    }
+  }
+
+  register(tagName, TestElement)
+  return tagName
+}
+
+describe("renderToString", () => {
+  it("throws if the element isn't registered", () => {
+    expect(() => renderToString("ssr-test-missing")).toThrow(
+      "[BulbaElement]: No element is registered with the tag name 'ssr-test-missing'."
+    )
+  })
+
+  it("renders a template view into a declarative shadow root", () => {
+    // Given
+    const tagName = define(TemplateRenderer, {
+      view: () => `
+        <div>
+          <p>hello</p>
+        </div>
+      `,
+    })
+    // When
+    const html = renderToString(tagName)
+    // Then
+    expect(html).toEqual(
+      `<${tagName}><template shadowrootmode="open"><div><p>hello</p></div></template></${tagName}>`
+    )
+  })
+
+  it("renders a jsx view into a declarative shadow root", () => {
+    // Given
+    const tagName = define(JsxRenderer, {
+      view: (element) => (
+        <div
+          className="greeting"
+          data-key="lede"
+          style={{ fontWeight: "bold" }}
+        >
+          <p>Hello, {element.name} & co</p>
+          <input disabled={true} />
+        </div>
+      ),
+      properties: { name: { default: "Sonic" } },
+    })
+    // When
+    const html = renderToString(tagName)
+    // Then
+    expect(html).toEqual(
+      `<${tagName}><template shadowrootmode="open">` +
+        `<div class="greeting" data-key="lede" style="font-weight: bold;">` +
+        `<p>Hello, Sonic &amp; co</p><input disabled></div>` +
+        `</template></${tagName}>`
+    )
+  })
+
+  it("inlines static styles", () => {
+    // Given
+    const tagName = define(TemplateRenderer, {
+      styles: ":host { display: block; }",
+      view: () => "<div></div>",
+    })
+    // When
+    const html = renderToString(tagName)
+    // Then
+    expect(html).toContain(
+      '<template shadowrootmode="open"><style>:host { display: block; }</style><div></div></template>'
+    )
+  })
+
+  it("renders with property defaults and reflected attributes", () => {
+    // Given
+    const tagName = define(TemplateRenderer, {
+      properties: {
+        firstName: { default: "Tails", reflected: true },
+        safeName: { default: "<b>Knuckles</b>", type: "string", safe: true },
+      },
+      view: (element) => `<p>${element.firstName} and ${element.safeName}</p>`,
+    })
+    // When
+    const html = renderToString(tagName)
+    // Then
+    expect(html).toEqual(
+      `<${tagName} first-name="Tails"><template shadowrootmode="open">` +
+        `<p>Tails and &lt;b&gt;Knuckles&lt;/b&gt;</p>` +
+        `</template></${tagName}>`
+    )
+  })
+
+  it("uses given attributes and properties over defaults", () => {
+    // Given
+    const tagName = define(TemplateRenderer, {
+      properties: {
+        firstName: { default: "Tails", reflected: true },
+        items: { default: () => [] },
+      },
+      view: (element) => `<p>${element.firstName}: ${element.items.join()}</p>`,
+    })
+    // When
+    const html = renderToString(tagName, {
+      attributes: { "first-name": 'Amy "Rose"' },
+      properties: { items: ["rings", "emeralds"] },
+    })
+    // Then
+    expect(html).toEqual(
+      `<${tagName} first-name="Amy &quot;Rose&quot;"><template shadowrootmode="open">` +
+        `<p>Amy "Rose": rings,emeralds</p>` +
+        `</template></${tagName}>`
+    )
+  })
+
+  it("renders shadow root options", () => {
+    // Given
+    const tagName = define(TemplateRenderer, {
+      shadowRootOptions: { mode: "closed", delegatesFocus: true },
+      view: () => "<div></div>",
+    })
+    // When
+    const html = renderToString(tagName)
+    // Then
+    expect(html).toEqual(
+      `<${tagName}><template shadowrootmode="closed" shadowrootdelegatesfocus><div></div></template></${tagName}>`
+    )
+  })
+
+  it("renders light DOM elements without a shadow root", () => {
+    // Given
+    const tagName = define(TemplateRenderer, {
+      lightDOM: true,
+      styles: "p {}",
+      view: () => "<p></p>",
+    })
+    // When
+    const html = renderToString(tagName)
+    // Then
+    expect(html).toEqual(
+      `<${tagName} bulba-ssr><style>p {}</style><p></p></${tagName}>`
+    )
+  })
+})
@@ -0,0 +1,128 @@
+/* global globalThis */
+
+const attributeMap = Symbol("#attributeMap")
+const shadowRootKey = Symbol("#shadowRoot")
+
+/**
+ * The bare minimum of a shadow root needed to define and render an
+ * element outside of a browser.
+ */
+class ShadowRoot {
+  constructor(host, { mode = "open" } = {}) {
+    this.host = host
+    this.mode = mode
+    this.childNodes = []
+  }
+}
+
+/**
+ * An attribute-only stand-in for HTMLElement. Elements are never
+ * connected, so lifecycle callbacks don't run on the server.
+ */
+class HTMLElement {
+  constructor() {
+    this[attributeMap] = new Map()
+    this[shadowRootKey] = null
+    this.localName = customElements.getName(new.target) || ""
+    this.tagName = this.localName.toUpperCase()
+  }
+
+  get attributes() {
+    return Array.from(this[attributeMap], ([name, value]) => ({ name, value }))
+  }
+
+  get shadowRoot() {
+    const shadowRoot = this[shadowRootKey]
+    return shadowRoot && shadowRoot.mode === "open" ? shadowRoot : null
+  }
+
+  get isConnected() {
+    return false
+  }
+
+  getAttribute(name) {
+    const attrName = String(name).toLowerCase()
+    return this[attributeMap].has(attrName)
+      ? this[attributeMap].get(attrName)
+      : null
+  }
+
+  setAttribute(name, value) {
+    this[attributeMap].set(String(name).toLowerCase(), String(value))
+  }
+
+  hasAttribute(name) {
+    return this[attributeMap].has(String(name).toLowerCase())
+  }
+
+  removeAttribute(name) {
+    this[attributeMap].delete(String(name).toLowerCase())
+  }
+
+  attachShadow(options) {
+    if (this[shadowRootKey]) {
+      throw new Error("[BulbaElement]: Shadow root cannot be created twice.")
+    }
+
+    this[shadowRootKey] = new ShadowRoot(this, options)
+    return this[shadowRootKey]
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+
+  dispatchEvent() {
+    return true
+  }
+}
+
+/**
+ * A registry matching the subset of CustomElementRegistry used by
+ * `register` and `renderToString`.
+ */
+class CustomElementRegistry {
+  constructor() {
+    this.definitions = new Map()
+  }
+
+  define(name, constructor) {
+    if (this.definitions.has(name)) {
+      throw new Error(
+        `[BulbaElement]: '${name}' has already been defined as a custom element.`
+      )
+    }
+
+    this.definitions.set(name, constructor)
+  }
+
+  get(name) {
+    return this.definitions.get(name)
+  }
+
+  getName(constructor) {
+    for (const [name, definition] of this.definitions) {
+      if (definition === constructor) return name
+    }
+
+    return null
+  }
+
+  whenDefined(name) {
+    return Promise.resolve(this.get(name))
+  }
+}
+
+/**
+ * Adds HTMLElement and customElements to the global scope if they
+ * don't exist, so elements can be defined in Node.
+ */
+export function installDomShim() {
+  if (typeof globalThis.HTMLElement === "undefined") {
+    globalThis.HTMLElement = HTMLElement
+  }
+
+  if (typeof globalThis.customElements === "undefined") {
+    globalThis.customElements = new CustomElementRegistry()
+  }
+}
@@ -0,0 +1,5 @@
+import { installDomShim } from "./dom-shim"
+installDomShim()
+
+export { installDomShim }
+export { renderToString } from "./render-to-string"
@@ -0,0 +1,92 @@
+import {
+  sanitizeAttribute,
+  flattenStyles,
+  getCSSText,
+  Attributes,
+  Internal,
+  External,
+} from "@bulba/utils"
+
+const SHADOW_ROOT_MODE = "open"
+
+function getTemplateMarkup(element) {
+  const { mode = SHADOW_ROOT_MODE, delegatesFocus } =
+    element.constructor[External.staticShadowRootOptions] || {}
+
+  return (
+    `<template shadowrootmode="${mode}"` +
+    `${delegatesFocus ? " shadowrootdelegatesfocus" : ""}>`
+  )
+}
+
+function getAttributeMarkup(element) {
+  return Array.prototype.reduce.call(
+    element.attributes,
+    (markup, { name, value }) =>
+      `${markup} ${name}${
+        value === "" ? "" : `="${sanitizeAttribute(value)}"`
+      }`,
+    ""
+  )
+}
+
+function getStyleMarkup(element) {
+  const styles = flattenStyles(element.constructor[External.staticStyles])
+  return styles.length ? `<style>${getCSSText(styles)}</style>` : ""
+}
+
+/**
+ * Renders a registered element to an HTML string containing the host
+ * and its view inside a declarative shadow root. Light DOM elements
+ * render their view as the host's children instead.
+ * @param {string} tagName
+ * @param {{attributes: Object, properties: Object}} options
+ * @returns {string}
+ */
+export function renderToString(tagName, options = {}) {
+  const { attributes = {}, properties = {} } = options
+  const ElementClass = customElements.get(tagName)
+
+  if (!ElementClass) {
+    throw new Error(
+      `[BulbaElement]: No element is registered with the tag name '${tagName}'.`
+    )
+  }
+
+  const element = new ElementClass()
+
+  if (!element[Internal.renderer]) {
+    throw new Error(
+      `[BulbaElement]: Element '${tagName}' does not extend BulbaElement.`
+    )
+  }
+
+  for (let name in attributes) {
+    element.setAttribute(name, attributes[name])
+  }
+
+  // Set before upgrading so they're used over property defaults.
+  for (let name in properties) {
+    element[name] = properties[name]
+  }
+
+  element[Internal.upgradeProperties]()
+
+  const view = element[Internal.renderer].renderToString(element)
+  const content = getStyleMarkup(element) + view
+
+  // Light DOM is marked so it's hydrated, unlike children added by authors.
+  if (element.constructor[External.staticLightDOM]) {
+    return (
+      `<${tagName}${getAttributeMarkup(element)} ${
+        Attributes.serverRendered
+      }>` + `${content}</${tagName}>`
+    )
+  }
+
+  return (
+    `<${tagName}${getAttributeMarkup(element)}>` +
+    `${getTemplateMarkup(element)}${content}</template>` +
+    `</${tagName}>`
+  )
+}
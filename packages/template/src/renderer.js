@@ -1,16 +1,34 @@
 import { patch, render, create } from "omdomdom"
-import { isString, Internal, External } from "@bulba/utils"
+import { isString, getHydrationRoot, Attributes, Internal } from "@bulba/utils"
 
-const emptyVNode = {
+const createEmptyVNode = () => ({
   type: "comment",
   attributes: {},
   children: null,
   content: "",
   node: document.createComment(""),
+})
+
+/**
+ * Renames tags of scoped elements which were defined with a suffix.
+ * @param {string} domString
+ * @param {Object<string, string>} tagNames
+ * @returns {string}
+ */
+function renameTags(domString, tagNames) {
+  for (let tag in tagNames) {
+    const pattern = new RegExp(
+      `(</?)${tag.replace(/\./g, "\\.")}(?=[\\s/>])`,
+      "g"
+    )
+    domString = domString.replace(pattern, `$1${tagNames[tag]}`)
+  }
+
+  return domString
 }
 
 function getRenderState(element) {
-  const domString = element[External.render]()
+  const domString = element[Internal.renderView]()
 
   if (!isString(domString)) {
     throw new Error(
@@ -18,12 +36,17 @@ function getRenderState(element) {
     )
   }
 
-  return domString
+  return renameTags(domString, element[Internal.tagNames])
 }
 
 function getInitialRenderState(element) {
   element[Internal.vnode] = create(getRenderState(element))
-  render(element[Internal.vnode], element.shadowRoot)
+  render(element[Internal.vnode], element[Internal.renderRoot])
+}
+
+function getHydratedRenderState(element, root) {
+  element[Internal.vnode] = create(root)
+  getNextRenderState(element)
 }
 
 function getNextRenderState(element) {
@@ -32,15 +55,55 @@ function getNextRenderState(element) {
   nextVnode = null
 }
 
+/**
+ * Collects rendered nodes with a `ref` attribute into the element's refs.
+ * Nodes in nested elements' shadow roots aren't included.
+ * @param {HTMLElement} element
+ */
+function setRefs(element) {
+  const refs = {}
+  const nodes = element[Internal.renderRoot].querySelectorAll(
+    `[${Attributes.ref}]`
+  )
+
+  Array.prototype.forEach.call(nodes, (node) => {
+    refs[node.getAttribute(Attributes.ref)] = node
+  })
+
+  element[Internal.refs] = refs
+}
+
 export const Renderer = {
   patch(element) {
-    if (element[Internal.isFirstRender]) {
+    const hydrationRoot =
+      element[Internal.shouldHydrate] &&
+      getHydrationRoot(element[Internal.renderRoot])
+
+    if (hydrationRoot) {
+      getHydratedRenderState(element, hydrationRoot)
+    } else if (element[Internal.isFirstRender]) {
       getInitialRenderState(element)
     } else {
       getNextRenderState(element)
     }
+
+    setRefs(element)
   },
   destroy(element) {
-    patch(emptyVNode, element[Internal.vnode])
+    const vnode = element[Internal.vnode]
+    if (!vnode) return
+
+    // Patching in an empty node lets omdomdom clean up, then the
+    // placeholder it leaves is removed.
+    patch(createEmptyVNode(), vnode)
+    vnode.node.parentNode.removeChild(vnode.node)
+  },
+  renderToString(element) {
+    // Collapse whitespace between tags the same way omdomdom does, so the
+    // markup lines up with the vnode built when it's hydrated.
+    return getRenderState(element)
+      .trim()
+      .replace(/\s+</g, "<")
+      .replace(/>\s+/g, ">")
   },
 }
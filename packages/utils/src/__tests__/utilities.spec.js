@@ -126,3 +126,60 @@ describe("type checking", () => {
     expect(utils.isEmptyObject(Symbol())).toEqual(false)
   })
 })
+
+describe("sanitizeString", () => {
+  it("escapes html special characters", () => {
+    expect(utils.sanitizeString("<span>&</span>")).toEqual(
+      "&lt;span&gt;&amp;&lt;/span&gt;"
+    )
+  })
+})
+
+describe("sanitizeAttribute", () => {
+  it("escapes quotes and ampersands", () => {
+    expect(utils.sanitizeAttribute('say "hi" & <bye>')).toEqual(
+      "say &quot;hi&quot; &amp; <bye>"
+    )
+  })
+})
+
+describe("css", () => {
+  it("creates a css result from the template", () => {
+    const color = utils.css`red`
+    const result = utils.css`p { color: ${color}; width: ${10}px; }`
+    expect(result).toBeInstanceOf(utils.CSSResult)
+    expect(result.cssText).toEqual("p { color: red; width: 10px; }")
+  })
+})
+
+describe("flattenStyles", () => {
+  it("flattens nested arrays and removes duplicates", () => {
+    const base = utils.css`p {}`
+    const styles = [base, ["a {}", [undefined, base]], null, "a {}"]
+    expect(utils.flattenStyles(styles)).toEqual([base, "a {}"])
+  })
+
+  it("wraps a single style in an array", () => {
+    expect(utils.flattenStyles("p {}")).toEqual(["p {}"])
+    expect(utils.flattenStyles(undefined)).toEqual([])
+  })
+})
+
+describe("getCSSText", () => {
+  it("joins styles", () => {
+    expect(utils.getCSSText(["p {}", utils.css`a {}`])).toEqual("p {}\na {}")
+  })
+})
+
+describe("getComposedParent", () => {
+  it("returns the parent node", () => {
+    const parentNode = { nodeType: 1 }
+    expect(utils.getComposedParent({ parentNode })).toBe(parentNode)
+  })
+
+  it("steps from a shadow root to its host", () => {
+    const host = { nodeType: 1 }
+    const parentNode = { nodeType: 11, host }
+    expect(utils.getComposedParent({ parentNode })).toBe(host)
+  })
+})
@@ -0,0 +1,78 @@
+import { isString } from "./is-type"
+
+/**
+ * A block of styles created with the `css` tag. Instances can be
+ * shared between classes and are only compiled to a stylesheet once.
+ */
+export class CSSResult {
+  constructor(cssText) {
+    this.cssText = cssText
+  }
+
+  toString() {
+    return this.cssText
+  }
+}
+
+const isStyleSheet = (value) =>
+  typeof CSSStyleSheet !== "undefined" && value instanceof CSSStyleSheet
+
+/**
+ * Tagged template for composable styles. Interpolated values can be other
+ * `css` results, strings, or numbers.
+ * @param {string[]} strings
+ * @param {...*} values
+ * @returns {CSSResult}
+ */
+export const css = (strings, ...values) =>
+  new CSSResult(
+    strings.reduce(
+      (cssText, string, idx) =>
+        cssText + string + (idx < values.length ? String(values[idx]) : ""),
+      ""
+    )
+  )
+
+/**
+ * Flattens nested style arrays and removes duplicates, keeping the last
+ * occurrence of each so the cascade order is preserved. Values that
+ * aren't strings, `css` results, or stylesheets are ignored.
+ * @param {*} styles
+ * @returns {Array<string|CSSResult|CSSStyleSheet>}
+ */
+export const flattenStyles = (styles) => {
+  const flattened = []
+
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect)
+    } else if (
+      isString(value) ||
+      value instanceof CSSResult ||
+      isStyleSheet(value)
+    ) {
+      const idx = flattened.indexOf(value)
+      if (idx > -1) flattened.splice(idx, 1)
+      flattened.push(value)
+    }
+  }
+
+  collect(styles)
+  return flattened
+}
+
+/**
+ * Returns the text of a flattened list of styles.
+ * @param {Array<string|CSSResult|CSSStyleSheet>} styles
+ * @returns {string}
+ */
+export const getCSSText = (styles) =>
+  styles
+    .map((style) =>
+      isStyleSheet(style)
+        ? Array.prototype.map
+            .call(style.cssRules, (rule) => rule.cssText)
+            .join(" ")
+        : String(style)
+    )
+    .join("\n")
@@ -1,5 +1,8 @@
 export const Attributes = {
   dir: "dir",
+  ref: "ref",
+  hasContent: "has-content",
+  serverRendered: "bulba-ssr",
 }
 
 export const AttributeValues = {
@@ -9,39 +12,103 @@ export const AttributeValues = {
 export const External = {
   // Properties & methods
   bulbaIdProperty: "bulbaId",
+  renderRootProperty: "renderRoot",
+  internalsProperty: "internals",
+  refsProperty: "refs",
+  setValidity: "setValidity",
+  checkValidity: "checkValidity",
+  reportValidity: "reportValidity",
   requestRender: "requestRender",
+  updateComplete: "updateComplete",
+  updateStyles: "updateStyles",
+  emit: "emit",
+  addController: "addController",
+  removeController: "removeController",
+  provide: "provide",
+  consume: "consume",
+  bindStore: "bindStore",
+  slotted: "slotted",
   render: "render",
+  renderError: "renderError",
   staticProperties: "properties",
   staticStyles: "styles",
+  staticAttributes: "attributes",
+  staticEvents: "events",
+  staticListeners: "listeners",
+  staticElements: "elements",
+  staticShadowRootOptions: "shadowRootOptions",
+  staticLightDOM: "lightDOM",
+  staticFormAssociated: "formAssociated",
 
   // Attributes
   bulbaIdAttribute: "bulba-id",
 
   // Lifecycle
+  shouldUpdate: "shouldUpdate",
+  willUpdate: "willUpdate",
   onConnect: "onConnect",
   onMount: "onMount",
   onUpdate: "onUpdate",
   onPropertyChange: "onPropertyChange",
   onAttributeChange: "onAttributeChange",
   onUnmount: "onUnmount",
+  onFormReset: "onFormReset",
+  onFormDisabled: "onFormDisabled",
+  onFormStateRestore: "onFormStateRestore",
+  onError: "onError",
+  onSlotChange: "onSlotChange",
+
+  // Controllers
+  hostConnected: "hostConnected",
+  hostDisconnected: "hostDisconnected",
+  hostUpdate: "hostUpdate",
+  hostUpdated: "hostUpdated",
 }
 
 export const Internal = {
   // Properties
   bulbaId: Symbol("#bulbaId"),
   vnode: Symbol("#vnode"),
+  refs: Symbol("#refs"),
+  renderRoot: Symbol("#renderRoot"),
+  registry: Symbol("#registry"),
+  tagNames: Symbol("#tagNames"),
+  internals: Symbol("#internals"),
   isFirstRender: Symbol("#isFirstRender"),
+  shouldHydrate: Symbol("#shouldHydrate"),
   reflectMap: Symbol("#reflectMap"),
+  reflectingProperty: Symbol("#reflectingProperty"),
+  computedProperties: Symbol("#computedProperties"),
+  changedProperties: Symbol("#changedProperties"),
+  isUpdating: Symbol("#isUpdating"),
+  hasPendingRender: Symbol("#hasPendingRender"),
+  updatePromise: Symbol("#updatePromise"),
+  resolveUpdate: Symbol("#resolveUpdate"),
+  error: Symbol("#error"),
+  listeners: Symbol("#listeners"),
+  controllers: Symbol("#controllers"),
+  storeControllers: Symbol("#storeControllers"),
+  contexts: Symbol("#contexts"),
+  contextSubscriptions: Symbol("#contextSubscriptions"),
+  signalTracker: Symbol("#signalTracker"),
+  styleTag: Symbol("#styleTag"),
+  styleSheets: Symbol("#styleSheets"),
 
   // Methods
   renderer: Symbol("#renderer"),
   initialize: Symbol("#initialize"),
   schedule: Symbol("#schedule"),
   runLifecycle: Symbol("#runLifecycle"),
+  runControllers: Symbol("#runControllers"),
   upgrade: Symbol("#upgrade"),
   upgradeProperties: Symbol("#upgradeProperties"),
+  setFormValue: Symbol("#setFormValue"),
   renderStyles: Symbol("#renderStyles"),
+  renderView: Symbol("#renderView"),
+  handleError: Symbol("#handleError"),
+  captureError: Symbol("#captureError"),
   renderDOM: Symbol("#renderDOM"),
   patch: Symbol("#patch"),
+  settleUpdate: Symbol("#settleUpdate"),
   destroy: Symbol("#destroy"),
 }
@@ -0,0 +1,14 @@
+const DOCUMENT_FRAGMENT_NODE = 11
+
+/**
+ * Returns the node's parent in the composed tree, stepping from shadow
+ * roots to their host.
+ * @param {Node} node
+ * @returns {Node|null}
+ */
+export const getComposedParent = (node) => {
+  const parent = node.parentNode
+  return parent && parent.nodeType === DOCUMENT_FRAGMENT_NODE
+    ? parent.host || null
+    : parent
+}
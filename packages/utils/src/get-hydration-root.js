@@ -0,0 +1,27 @@
+const ELEMENT_NODE = 1
+const TEXT_NODE = 3
+
+/**
+ * Finds the server-rendered root node of a declarative shadow root (or
+ * light DOM host), ignoring style tags and whitespace left over from
+ * the markup.
+ * @param {ShadowRoot|HTMLElement} root
+ * @returns {Node|null}
+ */
+export const getHydrationRoot = (root) => {
+  const childNodes = root ? root.childNodes : []
+
+  for (let idx = 0; idx < childNodes.length; idx++) {
+    const node = childNodes[idx]
+
+    if (node.nodeType === ELEMENT_NODE && node.tagName !== "STYLE") {
+      return node
+    }
+
+    if (node.nodeType === TEXT_NODE && node.textContent.trim()) {
+      return node
+    }
+  }
+
+  return null
+}
@@ -1,5 +1,9 @@
 export * from "./create-uuid"
+export * from "./css"
 export * from "./for-each"
+export * from "./get-composed-parent"
+export * from "./get-hydration-root"
+export * from "./is-browser"
 export * from "./is-type"
 export * from "./transform-case"
 export * from "./sanitize-string"
@@ -0,0 +1,6 @@
+/**
+ * Checks if a DOM is available, e.g. not rendering on the server.
+ * @returns {boolean}
+ */
+export const isBrowser = () =>
+  typeof window !== "undefined" && Boolean(window.document)
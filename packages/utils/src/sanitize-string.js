@@ -1,10 +1,28 @@
+const TextEntities = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  "\u00a0": "&nbsp;",
+}
+
+const AttributeEntities = {
+  "&": "&amp;",
+  '"': "&quot;",
+  "\u00a0": "&nbsp;",
+}
+
 /**
  * Sanitize a string value to remove special characters.
  * @param {string} value
  * @returns {string}
  */
-export const sanitizeString = (value) => {
-  const dump = document.createElement("div")
-  dump.textContent = value
-  return "" + dump.innerHTML
-}
+export const sanitizeString = (value) =>
+  String(value).replace(/[&<>\u00a0]/g, (char) => TextEntities[char])
+
+/**
+ * Sanitize a string value for use inside a double-quoted attribute.
+ * @param {string} value
+ * @returns {string}
+ */
+export const sanitizeAttribute = (value) =>
+  String(value).replace(/[&"\u00a0]/g, (char) => AttributeEntities[char])
@@ -32,6 +32,10 @@ export class KitchenSinkTest extends BulbaElement(Renderer) {
     }
   }
 
+  static get attributes() {
+    return ["description"]
+  }
+
   static get styles() {
     return `:host { display: block; } .compliments { font-weight: bold; }`
   }
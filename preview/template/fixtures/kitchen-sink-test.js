@@ -31,38 +31,20 @@ export class KitchenSinkTest extends BulbaElement(Renderer) {
     }
   }
 
-  static get styles() {
-    return `:host { display: block; } .compliments { font-weight: bold; }`
-  }
-
-  constructor() {
-    super()
-    this.handleNameChange = this.handleNameChange.bind(this)
-    this.handleRemoveHL = this.handleRemoveHL.bind(this)
-    this.handleRemoveAttr = this.handleRemoveAttr.bind(this)
+  static get attributes() {
+    return ["description"]
   }
 
-  onMount() {
-    this.changeNameButton = this.shadowRoot.querySelector("#update-name-btn")
-    this.removeHighlightsButton =
-      this.shadowRoot.querySelector("#update-hl-btn")
-    this.removeAttributeButton =
-      this.shadowRoot.querySelector("#update-attr-btn")
-    this.changeNameButton.addEventListener("click", this.handleNameChange)
-    this.removeHighlightsButton.addEventListener("click", this.handleRemoveHL)
-    this.removeAttributeButton.addEventListener("click", this.handleRemoveAttr)
+  static get styles() {
+    return `:host { display: block; } .compliments { font-weight: bold; }`
   }
 
-  onUnmount() {
-    this.changeNameButton.removeEventListener("click", this.handleNameChange)
-    this.removeHighlightsButton.removeEventListener(
-      "click",
-      this.handleRemoveHL
-    )
-    this.removeAttributeButton.removeEventListener(
-      "click",
-      this.handleRemoveAttr
-    )
+  static get listeners() {
+    return {
+      "click #update-name-btn": "handleNameChange",
+      "click #update-hl-btn": "handleRemoveHL",
+      "click #update-attr-btn": "handleRemoveAttr",
+    }
   }
 
   getNewName() {
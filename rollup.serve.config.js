@@ -5,6 +5,7 @@ import replace from "@rollup/plugin-replace"
 import babel from "@rollup/plugin-babel"
 import server from "rollup-plugin-dev"
 import commonjs from "@rollup/plugin-commonjs"
+import { hmr } from "./config/rollup.hmr.plugin.js"
 
 const { ENTRY, CDN } = process.env
 const isCdnMode = CDN === "true"
@@ -29,6 +30,9 @@ const moduleAliases = {
   "@bulba/utils": path.resolve(dirname, "packages/utils/src/index.js"),
 }
 
+// Re-registered classes replace live ones on rebuild
+const hmrPlugin = hmr()
+
 export default {
   input: INPUT_PATH,
   output: {
@@ -47,6 +51,7 @@ export default {
     }),
     nodeResolve(),
     commonjs(),
-    server({ dirs: [TEST_PATH], port: 3000 }),
+    hmrPlugin,
+    server({ dirs: [TEST_PATH], port: 3000, extend: hmrPlugin.server }),
   ],
 }